@@ -2,13 +2,19 @@
 
 import { Command } from 'commander';
 import { createRequire } from 'module';
+import { cacheCommand } from '../src/commands/cache.js';
+import { profilesCommand } from '../src/commands/profiles.js';
 import { completionCommand } from '../src/commands/completion.js';
 import { createCommand } from '../src/commands/create.js';
+import { enableCommand, disableCommand } from '../src/commands/toggle.js';
+import { exportCommand } from '../src/commands/export.js';
 import { infoCommand } from '../src/commands/info.js';
 import { installCommand } from '../src/commands/install.js';
+import { keysCommand } from '../src/commands/keys.js';
 import { listCommand } from '../src/commands/list.js';
 import { publishCommand } from '../src/commands/publish.js';
 import { removeCommand } from '../src/commands/remove.js';
+import { rollbackCommand } from '../src/commands/rollback.js';
 import { searchCommand } from '../src/commands/search.js';
 import { shareCommand } from '../src/commands/share.js';
 import { updateCommand } from '../src/commands/update.js';
@@ -24,13 +30,20 @@ program
   .version(version);
 
 // Register all commands
+program.addCommand(cacheCommand);
+program.addCommand(profilesCommand);
 program.addCommand(completionCommand);
 program.addCommand(createCommand);
+program.addCommand(disableCommand);
+program.addCommand(enableCommand);
+program.addCommand(exportCommand);
 program.addCommand(infoCommand);
 program.addCommand(installCommand);
+program.addCommand(keysCommand);
 program.addCommand(listCommand);
 program.addCommand(publishCommand);
 program.addCommand(removeCommand);
+program.addCommand(rollbackCommand);
 program.addCommand(searchCommand);
 program.addCommand(shareCommand);
 program.addCommand(updateCommand);
@@ -50,8 +63,14 @@ Examples:
   $ ext-pack info my-pack              # Show pack details
   $ ext-pack list                      # View installed/created packs
   $ ext-pack update my-pack            # Update an installed pack
+  $ ext-pack rollback my-pack          # Restore the previous install of a pack
+  $ ext-pack disable my-pack           # Stop loading a pack (enable brings it back)
   $ ext-pack remove my-pack            # Remove a pack
   $ ext-pack share my-pack.extpack     # Get shareable URL for a pack
+  $ ext-pack export my-pack.extpack --format crx --out dist/  # CRX files for policy installs
+  $ ext-pack keys generate             # Create a key for signing packs
+  $ ext-pack cache prune --dry-run     # See what the download cache can free
+  $ ext-pack profiles ls               # Profiles of packs installed with --isolated
 
 For more information, visit: https://github.com/ext-pack
 `);
@@ -0,0 +1,226 @@
+/**
+ * Cache command - Inspect and prune the extension download cache
+ */
+
+import { Command } from 'commander';
+import inquirer from 'inquirer';
+import {
+  listCacheEntries,
+  verifyCacheEntry,
+  planCachePrune,
+  removeCacheEntries,
+  getCacheMaxSize,
+  parseSize
+} from '../core/cache-manager.js';
+import { getCacheDir } from '../utils/config-manager.js';
+import { colors, timeAgo } from '../ui/helpers.js';
+
+/**
+ * Format a byte count the way the rest of the CLI does
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatSize(bytes) {
+  return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+}
+
+/**
+ * Describe who uses a cache entry
+ * @param {Object} entry - Entry from listCacheEntries
+ * @returns {string}
+ */
+function describeUsers(entry) {
+  if (entry.status === 'active') {
+    const history = entry.historyPacks.length > 0 ? `, history: ${entry.historyPacks.join(', ')}` : '';
+    return colors.success(entry.packs.join(', ')) + colors.muted(history);
+  }
+
+  if (entry.status === 'history') {
+    return colors.muted(`history: ${entry.historyPacks.join(', ')}`);
+  }
+
+  if (entry.status === 'in-progress') {
+    return colors.muted('install in progress');
+  }
+
+  return colors.warning('orphan');
+}
+
+/**
+ * Print the entries a prune or clean will delete
+ * @param {Array<Object>} entries
+ * @param {boolean} dryRun
+ */
+function printRemovals(entries, dryRun) {
+  console.log();
+  entries.forEach(entry => {
+    const reason = entry.reason ? colors.muted(` (${entry.reason})`) : '';
+    console.log(`  ${dryRun ? colors.muted('would delete') : colors.error('delete')} ${entry.name} ${colors.muted(formatSize(entry.size))}${reason}`);
+  });
+}
+
+const lsCommand = new Command('ls')
+  .alias('list')
+  .description('List cache entries with size, last use and the packs using them')
+  .option('--json', 'Output JSON')
+  .action(async (options) => {
+    const entries = await listCacheEntries();
+
+    if (options.json) {
+      console.log(JSON.stringify(entries, null, 2));
+      return;
+    }
+
+    if (entries.length === 0) {
+      console.log(colors.muted(`\n  Cache is empty (${getCacheDir()})\n`));
+      return;
+    }
+
+    console.log(colors.bold(`\n  ${getCacheDir()}\n`));
+    entries.forEach(entry => {
+      console.log(`  ${colors.highlight(entry.name)} ${colors.muted(`${formatSize(entry.size)}, used ${timeAgo(entry.lastUsed)}`)}`);
+      console.log(`    ${describeUsers(entry)}`);
+    });
+    console.log();
+  });
+
+const sizeCommand = new Command('size')
+  .description('Show total cache size against the size budget')
+  .action(async () => {
+    const entries = await listCacheEntries();
+    const total = entries.reduce((sum, e) => sum + e.size, 0);
+    const byStatus = (status) => entries.filter(e => e.status === status).reduce((sum, e) => sum + e.size, 0);
+
+    console.log(colors.bold(`\n  Cache: ${formatSize(total)} in ${entries.length} entries\n`));
+    console.log(`  ${colors.muted('In use:       ')} ${formatSize(byStatus('active'))}`);
+    console.log(`  ${colors.muted('History only: ')} ${formatSize(byStatus('history'))}`);
+    console.log(`  ${colors.muted('Orphaned:     ')} ${formatSize(byStatus('orphan'))}`);
+    console.log(`  ${colors.muted('Budget:       ')} ${formatSize(getCacheMaxSize())}\n`);
+  });
+
+const verifyCommand = new Command('verify')
+  .description('Check that every cache entry still holds a valid extension')
+  .action(async () => {
+    const entries = (await listCacheEntries()).filter(e => e.status !== 'in-progress');
+    let invalid = 0;
+
+    console.log();
+    for (const entry of entries) {
+      const { valid, reason } = await verifyCacheEntry(entry);
+
+      if (valid) {
+        console.log(`  ${colors.success('✓')} ${entry.name}`);
+      } else {
+        invalid++;
+        console.log(`  ${colors.error('✗')} ${entry.name} ${colors.muted(`(${reason})`)} ${describeUsers(entry)}`);
+      }
+    }
+
+    if (invalid > 0) {
+      console.log(colors.error(`\n❌ ${invalid} of ${entries.length} cache entries are invalid\n`));
+      console.log(colors.muted('Reinstall the packs using them, or remove orphans with: ext-pack cache prune\n'));
+      process.exitCode = 1;
+    } else {
+      console.log(colors.success(`\n✓ All ${entries.length} cache entries are valid\n`));
+    }
+  });
+
+const pruneCommand = new Command('prune')
+  .description('Delete orphaned entries and evict old ones beyond the size budget')
+  .option('--max-size <size>', 'Size budget, e.g. 500MB or 2GB (default: config cache.maxSize)')
+  .option('--dry-run', 'Show what would be deleted')
+  .action(async (options) => {
+    try {
+      const maxSize = options.maxSize !== undefined ? parseSize(options.maxSize) : getCacheMaxSize();
+      const plan = planCachePrune(await listCacheEntries(), { maxSize });
+
+      if (plan.remove.length === 0) {
+        console.log(colors.muted('\n  Nothing to prune.\n'));
+      } else {
+        printRemovals(plan.remove, options.dryRun);
+
+        if (!options.dryRun) {
+          await removeCacheEntries(plan.remove);
+        }
+
+        console.log(colors.success(`\n✓ ${options.dryRun ? 'Would free' : 'Freed'} ${formatSize(plan.freed)} (${formatSize(plan.remaining)} left)\n`));
+      }
+
+      if (plan.overBudget) {
+        console.log(colors.warning(`  Extensions of installed packs alone exceed the ${formatSize(maxSize)} budget.`));
+        console.log(colors.muted('  They are never pruned; remove packs with: ext-pack remove <pack> --purge\n'));
+      }
+    } catch (error) {
+      console.log(colors.error(`\n❌ ${error.message}\n`));
+      process.exitCode = 1;
+    }
+  });
+
+const cleanCommand = new Command('clean')
+  .description('Delete the entire download cache')
+  .option('-y, --yes', 'Skip confirmation')
+  .option('--dry-run', 'Show what would be deleted')
+  .action(async (options) => {
+    const entries = (await listCacheEntries()).filter(e => e.status !== 'in-progress');
+
+    if (entries.length === 0) {
+      console.log(colors.muted('\n  Cache is empty.\n'));
+      return;
+    }
+
+    printRemovals(entries, options.dryRun);
+
+    const inUse = entries.filter(e => e.status === 'active');
+    if (inUse.length > 0) {
+      console.log(colors.warning(`\n  ${inUse.length} entries are used by installed packs. Reinstall or update`));
+      console.log(colors.warning('  those packs afterwards to extract their extensions again.'));
+    }
+
+    if (options.dryRun) {
+      console.log();
+      return;
+    }
+
+    if (!options.yes) {
+      const { confirm } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'confirm',
+          message: `Delete ${entries.length} cache entries?`,
+          default: false
+        }
+      ]);
+
+      if (!confirm) {
+        console.log(colors.muted('\n  Cancelled.\n'));
+        return;
+      }
+    }
+
+    await removeCacheEntries(entries);
+    console.log(colors.success(`\n✓ Freed ${formatSize(entries.reduce((sum, e) => sum + e.size, 0))}\n`));
+  });
+
+export const cacheCommand = new Command('cache')
+  .description('Inspect and prune the extension download cache')
+  .addCommand(lsCommand)
+  .addCommand(sizeCommand)
+  .addCommand(verifyCommand)
+  .addCommand(pruneCommand)
+  .addCommand(cleanCommand)
+  .addHelpText('after', `
+Examples:
+  $ ext-pack cache ls                       # Entries, sizes and the packs using them
+  $ ext-pack cache size                     # Total size against the budget
+  $ ext-pack cache verify                   # Check each entry has a valid manifest
+  $ ext-pack cache prune --dry-run          # Show what prune would delete
+  $ ext-pack cache prune --max-size 500MB   # Prune down to 500 MB
+  $ ext-pack cache clean -y                 # Delete everything
+
+Prune deletes entries no installed pack refers to, then evicts entries only
+kept for rollback, least recently used first, until the cache fits the budget
+(config.json cache.maxSize). Entries used by installed packs are never pruned;
+rollback re-extracts evicted ones from the archived pack file.
+`);
+
+export default cacheCommand;
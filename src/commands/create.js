@@ -10,14 +10,20 @@ export const createCommand = new Command('create')
   .description('Create a pack - save locally or publish to registry')
   .option('-o, --output <path>', 'Output file path')
   .option('-d, --dir <path>', 'Directory to scan for extensions')
+  .option('--profile <name>', 'Browser profile to read extensions from (name or directory, e.g. "Work")')
+  .option('--generate-keys', 'Add a manifest key to extensions without one, so their ID is the same everywhere')
   .option('--local-only', 'Skip publish prompt, save locally only')
+  .option('--sign [key]', 'Sign the pack with an Ed25519 key (default: ~/.ext-pack/keys/default.pem)')
   .addHelpText('after', `
 Examples:
   $ ext-pack create                          # Interactive wizard
   $ ext-pack create my-pack                  # Create with specific name
   $ ext-pack create --dir ~/extensions       # Scan custom directory
+  $ ext-pack create --profile Work           # Pack the extensions of your "Work" browser profile
   $ ext-pack create --output ./pack.extpack  # Save to specific path
   $ ext-pack create --local-only             # Save locally without publishing
+  $ ext-pack create --sign                   # Sign with your default key (see: ext-pack keys)
+  $ ext-pack create --generate-keys          # Give unpacked extensions stable IDs
 
 The wizard will:
   1. Scan for installed extensions or browse directory
@@ -25,6 +31,11 @@ The wizard will:
   3. Auto-generate description using AI (if Ollama is running)
   4. Bundle extensions into a .extpack file
   5. Save locally to ~/.ext-pack/packs/
+
+Extensions loaded unpacked get an ID from their install path unless manifest.json
+has a "key". Existing keys are always kept; --generate-keys adds one per source
+directory from ~/.ext-pack/keys/extensions/ (created if missing), the same key
+"ext-pack export --format crx" signs with.
 `)
   .action(async (name, options) => {
     await runCreateWizard({ name, ...options });
@@ -0,0 +1,125 @@
+/**
+ * Export command - Write a pack's extensions as zip or CRX files for policy deployment
+ */
+
+import { Command } from 'commander';
+import { resolve, join } from 'path';
+import { existsSync } from 'fs';
+import { tmpdir } from 'os';
+import ora from 'ora';
+import { readPackFile } from '../core/pack-codec.js';
+import { downloadPack } from '../core/registry-client.js';
+import { exportPack, EXPORT_FORMATS } from '../core/pack-exporter.js';
+import { getExtensionKeysDir } from '../core/extension-keys.js';
+import { getConfig } from '../utils/config-manager.js';
+import { colors } from '../ui/helpers.js';
+
+export const exportCommand = new Command('export')
+  .argument('<pack>', 'Pack file path or registry name')
+  .description('Export extensions as zip or CRX files for policy deployment')
+  .option('-f, --format <format>', `Output format: ${EXPORT_FORMATS.join(', ')}`, 'zip')
+  .option('-o, --out <dir>', 'Output directory', '.')
+  .option('--key-dir <dir>', 'Directory of <keyRef>.pem or <extension>.pem CRX signing keys (missing keys are generated)')
+  .option('--base-url <url>', 'URL the CRX files will be hosted at (used in update.xml)')
+  .addHelpText('after', `
+Examples:
+  $ ext-pack export dev-tools.extpack --out dist/            # One zip per extension
+  $ ext-pack export dev-tools.extpack --format crx --out dist/ \\
+      --base-url https://intranet.example.com/extensions/    # Signed CRX files + update.xml
+  $ ext-pack export user/pack --format crx --key-dir ./keys  # Sign with your own keys
+
+CRX files are signed with one RSA key per extension. Keys are read from
+--key-dir (default: ~/.ext-pack/keys/extensions/) as <keyRef>.pem for bundles
+made with "create --generate-keys", otherwise as <extension-name>.pem, and
+generated there if missing; keep them to preserve extension IDs across exports.
+Host the .crx files and update.xml together, then force-install with the
+ExtensionInstallForcelist policy: <extension-id>;<base-url>/update.xml
+`)
+  .action(async (pack, options) => {
+    if (!EXPORT_FORMATS.includes(options.format)) {
+      console.log(colors.error(`\n❌ Unknown format "${options.format}". Use one of: ${EXPORT_FORMATS.join(', ')}\n`));
+      process.exitCode = 1;
+      return;
+    }
+
+    const outDir = resolve(options.out);
+    let packFilePath = resolve(pack);
+
+    const spinner = ora('Reading pack...').start();
+
+    try {
+      // Fall back to the registry when the argument is not a local file
+      if (!existsSync(packFilePath)) {
+        packFilePath = join(tmpdir(), `${pack.replace(/\//g, '-')}.extpack`);
+        spinner.text = `Downloading ${pack}...`;
+        await downloadPack(pack, packFilePath, (progress) => {
+          spinner.text = `Downloading ${pack}... ${progress.progress}%`;
+        });
+      }
+
+      const packData = await readPackFile(packFilePath, {
+        signaturePolicy: getConfig().security?.signaturePolicy
+      });
+
+      const result = await exportPack(packData, outDir, {
+        format: options.format,
+        keysDir: options.keyDir ? resolve(options.keyDir) : getExtensionKeysDir(),
+        baseUrl: options.baseUrl || null,
+        onProgress: ({ current, total, extension }) => {
+          spinner.text = `Preparing ${extension.name} (${current}/${total})...`;
+        }
+      });
+
+      if (result.exported.length === 0) {
+        spinner.fail('Nothing exported');
+      } else {
+        spinner.succeed(`Exported ${result.exported.length} extension(s) to ${outDir}`);
+      }
+
+      console.log();
+      result.exported.forEach(ext => {
+        const id = ext.extensionId ? colors.muted(` ${ext.extensionId}`) : '';
+        console.log(`  ${colors.success('✓')} ${colors.highlight(ext.name)} ${colors.muted(`v${ext.version}`)} → ${ext.file}${id}`);
+      });
+
+      result.skipped.forEach(({ extension, reason }) => {
+        console.log(`  ${colors.muted('-')} ${extension.name} ${colors.muted(`(skipped: ${reason})`)}`);
+      });
+
+      result.errors.forEach(({ extension, error }) => {
+        console.log(`  ${colors.error('✗')} ${extension.name}: ${error}`);
+      });
+
+      const generatedKeys = result.exported.filter(ext => ext.keyGenerated);
+      if (generatedKeys.length > 0) {
+        console.log(colors.muted(`\n  Generated ${generatedKeys.length} signing key(s) in ${options.keyDir ? resolve(options.keyDir) : getExtensionKeysDir()}`));
+        console.log(colors.muted('  Keep them: re-exporting with a different key changes the extension ID.'));
+      }
+
+      if (result.updateManifestPath) {
+        console.log(`\n  ${colors.muted('Update manifest:')} ${result.updateManifestPath}`);
+
+        if (!options.baseUrl) {
+          console.log(colors.warning('  update.xml points at local file:// paths. Pass --base-url with the URL you will host the files at.'));
+        }
+
+        const updateUrl = `${(options.baseUrl || '<base-url>').replace(/\/$/, '')}/update.xml`;
+        console.log(colors.muted('\n  ExtensionInstallForcelist entries:'));
+        result.exported.forEach(ext => {
+          console.log(`    ${ext.extensionId};${updateUrl}`);
+        });
+      }
+
+      console.log();
+
+      if (result.errors.length > 0) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      spinner.fail('Export failed');
+      console.log(colors.error(`\n❌ ${error.message}\n`));
+      process.exitCode = 1;
+    }
+  });
+
+export default exportCommand;
@@ -6,8 +6,10 @@ import { Command } from 'commander';
 import { resolve } from 'path';
 import { existsSync } from 'fs';
 import { readPackFile } from '../core/pack-codec.js';
-import { getPackInfo, isRegistryAccessible } from '../core/registry-client.js';
-import { calculateBundleSize } from '../core/bundle-codec.js';
+import { getPackInfo, checkForUpdate, isRegistryAccessible } from '../core/registry-client.js';
+import { calculateBundleSize, getBundledExtensionId } from '../core/bundle-codec.js';
+import { getUnpackedExtensionId, findIdCollisions } from '../core/extension-keys.js';
+import { getInstalledPacks } from '../utils/config-manager.js';
 import { colors } from '../ui/helpers.js';
 import ora from 'ora';
 
@@ -80,6 +82,22 @@ Examples:
     console.log(`  ${colors.muted('Name:')}        ${colors.highlight(packData.name)}`);
     console.log(`  ${colors.muted('Version:')}     ${packData.version || '1.0.0'}`);
 
+    // Compare against the installed copy, if any
+    const installed = (getInstalledPacks().packs || []).find(p =>
+      (source === 'registry' && p.registryId === pack) || p.name === packData.name
+    );
+
+    if (installed) {
+      const check = checkForUpdate(installed.version, packData, { allowDowngrade: true });
+      const labels = {
+        update: colors.success(`(v${check.latest} available)`),
+        downgrade: colors.warning(`(newer than this v${check.latest})`),
+        'off-channel': colors.muted(`(prerelease v${check.latest} available)`),
+        current: colors.muted('(up to date)')
+      };
+      console.log(`  ${colors.muted('Installed:')}   v${check.current} ${labels[check.status]}`);
+    }
+
     if (packData.description) {
       console.log(`  ${colors.muted('Description:')} ${packData.description}`);
     }
@@ -120,6 +138,8 @@ Examples:
     if (packData.extensions && packData.extensions.length > 0) {
       console.log(colors.bold('\n  Extensions:\n'));
 
+      const ids = packData.extensions.map(ext => ({ name: ext.name, id: getPinnedId(ext) }));
+
       packData.extensions.forEach((ext, i) => {
         const num = colors.muted(`${i + 1}.`);
         const name = colors.highlight(ext.name);
@@ -137,6 +157,16 @@ Examples:
           const sizeMB = (size / 1024 / 1024).toFixed(2);
           console.log(`     ${colors.muted(`Size: ${sizeMB} MB (compressed)`)}`);
         }
+
+        if (ids[i].id) {
+          console.log(`     ${colors.muted(`ID: ${ids[i].id}`)}`);
+        } else if (['bundled', 'local'].includes(ext.type)) {
+          console.log(`     ${colors.muted('ID: depends on install path (no manifest key)')}`);
+        }
+      });
+
+      findIdCollisions(ids).forEach(({ id, names }) => {
+        console.log(colors.warning(`\n  ⚠ ${names.join(', ')} share extension ID ${id}; the browser loads only one of them.`));
       });
     }
 
@@ -151,4 +181,21 @@ Examples:
     console.log();
   });
 
+/**
+ * Extension ID a pack entry will have on every machine
+ * @param {Object} ext - Pack extension entry
+ * @returns {string|null} null when unknown before install or derived from the install path
+ */
+function getPinnedId(ext) {
+  if (ext.type === 'store') return ext.id;
+  if (ext.type === 'bundled') return getBundledExtensionId(ext);
+
+  if (ext.type === 'local' && ext.path && existsSync(ext.path)) {
+    const { id, stable } = getUnpackedExtensionId(ext.path);
+    return stable ? id : null;
+  }
+
+  return null;
+}
+
 export default infoCommand;
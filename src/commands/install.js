@@ -10,29 +10,62 @@ export const installCommand = new Command('install')
   .argument('[pack]', 'Pack ID from registry, file path, or URL (optional - will browse if not provided)')
   .description('Browse registry and install a pack')
   .option('-b, --browser <name>', 'Browser to use (brave, chrome, edge)')
+  .option('--profile <name>', 'Browser profile to open and use for later relaunches (name or directory, e.g. "Work")')
   .option('-y, --yes', 'Skip confirmations')
   .option('--no-relaunch', 'Don\'t relaunch browser')
+  .option('--frozen', 'Fail if extensions resolve differently from the lockfile')
+  .option('--lockfile <path>', 'Lockfile path (default: <pack>.extpack.lock)')
+  .option('--refresh', 'Look up "latest" GitHub releases again instead of using the cached answer')
+  .option('--isolated', 'Run the pack in its own browser profile next to your open browser')
   .addHelpText('after', `
 Examples:
   $ ext-pack install                         # Browse registry interactively
   $ ext-pack install my-pack                 # Install from registry by name
   $ ext-pack install pack.extpack            # Install from local file
   $ ext-pack install ~/downloads/dev.extpack # Install from custom path
+  $ ext-pack install "https://ifaka.github.io/extension-pack-hub/#eyJ2Ijoz..."  # From a share URL
+  $ ext-pack install "ext-pack://share#~zeJyr..."     # From a compressed link
+  $ ext-pack install https://example.com/dev.extpack  # Download and install
+  $ ext-pack install file:///home/me/dev.extpack      # From a file:// URL
   $ ext-pack install --browser brave         # Install to specific browser
+  $ ext-pack install my-pack --profile Work  # Open your "Work" profile with the pack
   $ ext-pack install my-pack -y              # Install without confirmations
   $ ext-pack install --no-relaunch           # Install without browser restart
+  $ ext-pack install pack.extpack -y -b chrome --no-relaunch  # Scripted install, no prompts
+  $ ext-pack install pack.extpack --frozen   # Reproduce exactly what pack.extpack.lock recorded
+  $ ext-pack install pack.extpack --refresh  # Pick up new "latest" GitHub releases now
+  $ ext-pack install pack.extpack --isolated # Try a pack without closing your browser
+
+With --yes every prompt and pause is skipped, so installs can run unattended.
+The command exits with a non-zero status if the pack or any extension failed.
+"Latest" GitHub releases are resolved to a concrete tag, which is reused for
+cache.releaseTtl seconds (default: 1 hour) unless --refresh is passed.
+Isolated packs (--isolated, or "isolated": true in the pack) launch into
+~/.ext-pack/profiles/<pack-id> and leave the main browser running; manage
+those profiles with "ext-pack profiles".
+--profile is remembered per browser (browser.profiles in config.json): every
+pack in the main browser runs in one process, so all relaunches open that profile.
 
 The install process:
-  1. Downloads pack from registry or reads local file
+  1. Downloads pack from registry or URL, or reads local file
   2. Extracts bundled extensions
   3. Downloads GitHub-sourced extensions (if any)
   4. Shows manual install instructions for store extensions
   5. Relaunches browser with --load-extension flags
+  6. Writes a lockfile pinning release tags, asset URLs and content hashes
+     (next to local pack files, or in ~/.ext-pack/locks/ for registry packs)
 `)
   .action(async (pack, options) => {
     // Resolve pack path if provided
-    const packPath = pack ? (pack.endsWith('.extpack') ? resolve(pack) : pack) : null;
-    await runInstallWizard(packPath, options);
+    const isUrl = pack && /^(https?|file|ext-pack):\/\//i.test(pack);
+    const packPath = pack ? (pack.endsWith('.extpack') && !isUrl ? resolve(pack) : pack) : null;
+    const lockfile = options.lockfile ? resolve(options.lockfile) : null;
+    const success = await runInstallWizard(packPath, { ...options, lockfile });
+
+    // Let scripts detect failed or partial installs
+    if (!success) {
+      process.exitCode = 1;
+    }
   });
 
 export default installCommand;
@@ -0,0 +1,144 @@
+/**
+ * Keys command - Manage pack signing keys and the trust store
+ */
+
+import { Command } from 'commander';
+import { readFileSync } from 'fs';
+import {
+  DEFAULT_KEY_NAME,
+  SIGNATURE_POLICIES,
+  generateSigningKey,
+  listSigningKeys,
+  listTrustedKeys,
+  trustKey,
+  untrustKey
+} from '../core/pack-signer.js';
+import { getConfig, updateConfig } from '../utils/config-manager.js';
+import { colors } from '../ui/helpers.js';
+
+const generateCommand = new Command('generate')
+  .argument('[name]', 'Key name', DEFAULT_KEY_NAME)
+  .description('Generate an Ed25519 signing key')
+  .option('--force', 'Overwrite an existing key with the same name')
+  .action(async (name, options) => {
+    try {
+      const key = await generateSigningKey(name, { force: options.force });
+
+      console.log(colors.success(`\n✓ Generated signing key "${key.name}" (${key.keyId})\n`));
+      console.log(`  ${colors.muted('Private key:')} ${key.privateKeyPath}`);
+      console.log(`  ${colors.muted('Public key:')}  ${key.publicKeyPath}\n`);
+      console.log(colors.muted('Share the public key so others can trust your packs:'));
+      console.log(colors.highlight(`  ext-pack keys trust ${key.publicKeyPath}\n`));
+    } catch (error) {
+      console.log(colors.error(`\n❌ ${error.message}\n`));
+      process.exitCode = 1;
+    }
+  });
+
+const listCommand = new Command('list')
+  .alias('ls')
+  .description('List signing keys and trusted keys')
+  .action(() => {
+    const ownKeys = listSigningKeys();
+    const trusted = listTrustedKeys();
+
+    console.log(colors.bold('\n  Signing keys:\n'));
+    if (ownKeys.length === 0) {
+      console.log(colors.muted('  None. Create one with: ext-pack keys generate\n'));
+    } else {
+      ownKeys.forEach(k => console.log(`  ${colors.highlight(k.name)} ${colors.muted(k.keyId)}`));
+      console.log();
+    }
+
+    console.log(colors.bold('  Trusted keys:\n'));
+    if (trusted.length === 0) {
+      console.log(colors.muted('  None.\n'));
+    } else {
+      trusted.forEach(k => console.log(`  ${colors.highlight(k.name)} ${colors.muted(k.keyId)}`));
+      console.log();
+    }
+
+    const policy = getConfig().security?.signaturePolicy || 'any';
+    console.log(`  ${colors.muted('Install policy:')} ${policy}\n`);
+  });
+
+const exportCommand = new Command('export')
+  .argument('[name]', 'Key name', DEFAULT_KEY_NAME)
+  .description('Print a public key to share with others')
+  .action((name) => {
+    const key = listSigningKeys().find(k => k.name === name);
+
+    if (!key) {
+      console.log(colors.error(`\n❌ Signing key "${name}" not found\n`));
+      process.exitCode = 1;
+      return;
+    }
+
+    process.stdout.write(readFileSync(key.path, 'utf-8'));
+  });
+
+const trustCommand = new Command('trust')
+  .argument('<source>', 'Public key PEM file, or a signed .extpack to trust its signer')
+  .description('Add a public key to the trust store')
+  .option('--name <name>', 'Name to store the key under')
+  .action(async (source, options) => {
+    try {
+      const key = await trustKey(source, options.name);
+      console.log(colors.success(`\n✓ Trusted "${key.name}" (${key.keyId})\n`));
+    } catch (error) {
+      console.log(colors.error(`\n❌ ${error.message}\n`));
+      process.exitCode = 1;
+    }
+  });
+
+const untrustCommand = new Command('untrust')
+  .argument('<key>', 'Trusted key name or key ID')
+  .description('Remove a key from the trust store')
+  .action(async (key) => {
+    if (await untrustKey(key)) {
+      console.log(colors.success(`\n✓ Removed "${key}" from trusted keys\n`));
+    } else {
+      console.log(colors.error(`\n❌ Trusted key "${key}" not found\n`));
+      process.exitCode = 1;
+    }
+  });
+
+const policyCommand = new Command('policy')
+  .argument('<policy>', `Install policy: ${SIGNATURE_POLICIES.join(', ')}`)
+  .description('Choose which packs install accepts')
+  .action((policy) => {
+    if (!SIGNATURE_POLICIES.includes(policy)) {
+      console.log(colors.error(`\n❌ Unknown policy "${policy}". Use one of: ${SIGNATURE_POLICIES.join(', ')}\n`));
+      process.exitCode = 1;
+      return;
+    }
+
+    const config = getConfig();
+    updateConfig({ security: { ...config.security, signaturePolicy: policy } });
+    console.log(colors.success(`\n✓ Signature policy set to "${policy}"\n`));
+  });
+
+export const keysCommand = new Command('keys')
+  .description('Manage pack signing keys and trusted signers')
+  .addCommand(generateCommand)
+  .addCommand(listCommand)
+  .addCommand(exportCommand)
+  .addCommand(trustCommand)
+  .addCommand(untrustCommand)
+  .addCommand(policyCommand)
+  .addHelpText('after', `
+Examples:
+  $ ext-pack keys generate                  # Create ~/.ext-pack/keys/default.pem
+  $ ext-pack create --sign                  # Sign a new pack with the default key
+  $ ext-pack keys export > me.pub.pem       # Share your public key
+  $ ext-pack keys trust alice.pub.pem       # Trust packs signed by alice
+  $ ext-pack keys trust team-pack.extpack   # Trust whoever signed this pack
+  $ ext-pack keys policy trusted            # Only install packs signed by trusted keys
+
+Policies:
+  any      Install unsigned and signed packs (invalid signatures are always rejected)
+  signed   Only install signed packs
+  trusted  Only install packs signed by a key in ~/.ext-pack/trusted-keys/
+`);
+
+export default keysCommand;
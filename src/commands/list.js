@@ -14,10 +14,12 @@ Examples:
 Shows:
   • Created packs (saved locally in ~/.ext-pack/packs/)
   • Installed packs (from registry)
+  • GitHub extensions with a newer release than the one installed
 
 Available actions:
   • View pack details
   • Update to latest version
+  • Enable or disable an installed pack
   • Remove pack from registry
   • Publish created pack
 `)
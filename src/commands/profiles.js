@@ -0,0 +1,112 @@
+/**
+ * Profiles command - Manage the browser profiles of isolated packs
+ */
+
+import { Command } from 'commander';
+import inquirer from 'inquirer';
+import { listProfiles, removeProfile } from '../core/profiles.js';
+import { getProfilesDir } from '../utils/config-manager.js';
+import { colors } from '../ui/helpers.js';
+
+const lsCommand = new Command('ls')
+  .alias('list')
+  .description('List isolated profiles and the packs using them')
+  .option('--json', 'Output JSON')
+  .action(async (options) => {
+    const profiles = await listProfiles();
+
+    if (options.json) {
+      console.log(JSON.stringify(profiles, null, 2));
+      return;
+    }
+
+    if (profiles.length === 0) {
+      console.log(colors.muted(`\n  No isolated profiles (${getProfilesDir()})\n`));
+      return;
+    }
+
+    console.log(colors.bold(`\n  ${getProfilesDir()}\n`));
+    profiles.forEach(profile => {
+      const running = profile.running ? colors.success(' [running]') : '';
+      const pack = profile.pack ? colors.muted(profile.pack) : colors.warning('orphaned');
+      console.log(`  ${colors.highlight(profile.id)}${running}  ${pack}`);
+    });
+    console.log();
+  });
+
+const rmCommand = new Command('rm')
+  .alias('remove')
+  .argument('[id]', 'Profile ID (see ext-pack profiles ls)')
+  .description('Delete an isolated profile, including its browsing data')
+  .option('--orphaned', 'Delete every profile no installed pack uses')
+  .option('-y, --yes', 'Skip confirmation')
+  .action(async (id, options) => {
+    try {
+      const profiles = await listProfiles();
+      let targets;
+
+      if (options.orphaned) {
+        targets = profiles.filter(p => !p.pack);
+      } else if (id) {
+        const profile = profiles.find(p => p.id === id);
+        if (!profile) {
+          throw new Error(`Profile "${id}" not found`);
+        }
+        targets = [profile];
+      } else {
+        throw new Error('Specify a profile ID or --orphaned');
+      }
+
+      if (targets.length === 0) {
+        console.log(colors.muted('\n  No orphaned profiles.\n'));
+        return;
+      }
+
+      console.log();
+      targets.forEach(profile => {
+        console.log(`  ${colors.error('delete')} ${profile.id} ${colors.muted(profile.pack ? `(used by ${profile.pack})` : '(orphaned)')}`);
+      });
+
+      if (!options.yes) {
+        const { confirm } = await inquirer.prompt([
+          {
+            type: 'confirm',
+            name: 'confirm',
+            message: `Delete ${targets.length} profile(s) and their browsing data?`,
+            default: false
+          }
+        ]);
+
+        if (!confirm) {
+          console.log(colors.muted('\n  Cancelled.\n'));
+          return;
+        }
+      }
+
+      for (const profile of targets) {
+        await removeProfile(profile.id);
+      }
+
+      console.log(colors.success(`\n✓ Deleted ${targets.length} profile(s)\n`));
+    } catch (error) {
+      console.log(colors.error(`\n❌ ${error.message}\n`));
+      process.exitCode = 1;
+    }
+  });
+
+export const profilesCommand = new Command('profiles')
+  .description('Manage the browser profiles of isolated packs')
+  .addCommand(lsCommand)
+  .addCommand(rmCommand)
+  .addHelpText('after', `
+Examples:
+  $ ext-pack profiles ls                    # Profiles and the packs using them
+  $ ext-pack profiles rm my-pack            # Delete one profile
+  $ ext-pack profiles rm --orphaned -y      # Delete profiles of removed packs
+
+Packs installed with --isolated (or marked "isolated": true) run in their own
+profile under ~/.ext-pack/profiles/<pack-id>, next to your main browser. A
+profile keeps its browsing data after the pack is removed until deleted here.
+`);
+
+export default profilesCommand;
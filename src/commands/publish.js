@@ -10,12 +10,14 @@ export const publishCommand = new Command('publish')
   .description('Publish pack to GitHub registry')
   .option('--tag <tag>', 'Version tag (default: auto-increment)')
   .option('--public', 'Make pack public (default: true)', true)
+  .option('--sign [key]', 'Sign the pack with an Ed25519 key before publishing')
   .addHelpText('after', `
 Examples:
   $ ext-pack publish                          # Publish interactively (select from created packs)
   $ ext-pack publish my-pack.extpack          # Publish specific pack file
   $ ext-pack publish my-pack.extpack --tag v2.0.0  # Publish with specific version tag
   $ ext-pack publish ~/.ext-pack/packs/dev-tools.extpack  # Publish from custom path
+  $ ext-pack publish my-pack.extpack --sign   # Sign with your default key, then publish
 `)
   .action(async (pack, options) => {
     await runPublishWizard(pack, options);
@@ -3,22 +3,38 @@
  */
 
 import { Command } from 'commander';
-import { getInstalledPacks, removeInstalledPack } from '../utils/config-manager.js';
+import ora from 'ora';
+import { getInstalledPacks, getConfig } from '../utils/config-manager.js';
+import { removePack } from '../core/pack-installer.js';
+import { planPackPurge } from '../core/cache-manager.js';
+import { getProfileDir } from '../core/profiles.js';
+import { getBrowser, getPreferredBrowser } from '../utils/browser-detector.js';
 import { colors } from '../ui/helpers.js';
 import inquirer from 'inquirer';
+import { existsSync } from 'fs';
 
 export const removeCommand = new Command('remove')
   .argument('[pack]', 'Pack name to remove')
   .description('Remove an installed extension pack')
   .option('-y, --yes', 'Skip confirmation')
+  .option('--purge', 'Delete cached extension files and relaunch the browser without them')
+  .option('-b, --browser <name>', 'Browser to relaunch with --purge (brave, chrome, edge)')
+  .option('--no-relaunch', 'Don\'t relaunch browser after purging')
+  .option('--delete-profile', 'Also delete an isolated pack\'s browser profile')
   .addHelpText('after', `
 Examples:
   $ ext-pack remove                 # Interactive selection of pack to remove
   $ ext-pack remove my-pack         # Remove specific pack by name
   $ ext-pack remove my-pack -y      # Remove without confirmation prompt
-
-Note: Removing a pack only removes it from the registry. Extensions remain
-      loaded in your browser until you restart.
+  $ ext-pack remove my-pack --purge # Also delete its files and relaunch the browser
+  $ ext-pack remove my-pack --purge --delete-profile  # Isolated pack: drop its profile too
+
+Note: Without --purge, removing a pack only removes it from the registry.
+      Extensions remain loaded in your browser until you restart.
+      --purge deletes the pack's directories in ~/.ext-pack/downloads, except
+      those another installed pack still uses.
+      For isolated packs, --purge and --delete-profile first close the pack's
+      profile window; the main browser is not relaunched.
 `)
   .action(async (packName, options) => {
     const registry = getInstalledPacks();
@@ -61,24 +77,89 @@ Note: Removing a pack only removes it from the registry. Extensions remain
       selectedPack = selected;
     }
 
+    const purge = Boolean(options.purge);
+    const plan = purge ? planPackPurge(selectedPack.name, packs) : null;
+    const isolated = Boolean(selectedPack.isolated);
+    const profileDir = isolated ? getProfileDir(selectedPack) : null;
+    const hasProfile = Boolean(profileDir && existsSync(profileDir));
+    let deleteProfile = Boolean(options.deleteProfile) && hasProfile;
+
+    if (hasProfile && !options.deleteProfile && !options.yes) {
+      const { confirmProfile } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'confirmProfile',
+          message: `Also delete its isolated browser profile (${profileDir})?`,
+          default: false
+        }
+      ]);
+
+      deleteProfile = confirmProfile;
+    }
+
     // Show what will happen before confirmation
     console.log(colors.bold(`\n  Remove "${selectedPack.name}"?\n`));
     console.log(colors.muted('This will:'));
     console.log(`  ${colors.success('✓')} Remove pack from ext-pack registry`);
-    console.log(`  ${colors.success('✓')} Delete pack metadata and tracking\n`);
+    console.log(`  ${colors.success('✓')} Delete pack metadata and tracking`);
 
-    console.log(colors.muted('This will NOT:'));
-    console.log(`  ${colors.warning('✗')} Unload extensions from your browser`);
-    console.log(`  ${colors.warning('✗')} Delete extension files\n`);
+    if (isolated && (purge || deleteProfile)) {
+      console.log(`  ${colors.success('✓')} Close the pack's isolated browser window`);
+    }
+
+    if (purge) {
+      console.log(`  ${colors.success('✓')} Delete ${plan.purgeable.length} cached extension director${plan.purgeable.length === 1 ? 'y' : 'ies'}`);
+      if (options.relaunch && !isolated) {
+        console.log(`  ${colors.success('✓')} Relaunch your browser without the pack's extensions`);
+      }
+    }
+
+    if (deleteProfile) {
+      console.log(`  ${colors.success('✓')} Delete its browser profile and browsing data`);
+    }
+    console.log();
 
-    // Show extensions that will remain
-    if (selectedPack.extensions && selectedPack.extensions.length > 0) {
-      console.log(colors.muted(`The following ${selectedPack.extensions.length} extension(s) will remain in your browser:`));
-      selectedPack.extensions.forEach(ext => {
-        console.log(`  • ${ext.name}${ext.version ? ` v${ext.version}` : ''}`);
+    if (purge) {
+      plan.purgeable.forEach(entry => {
+        console.log(colors.muted(`    ${entry.path}`));
       });
+
+      if (plan.shared.length > 0) {
+        console.log(colors.muted('\nKept because other packs still use them:'));
+        plan.shared.forEach(entry => {
+          console.log(colors.muted(`    ${entry.name} (${entry.packs.join(', ')})`));
+        });
+      }
       console.log();
-      console.log(colors.muted('To fully remove, restart your browser after this operation.\n'));
+    } else {
+      console.log(colors.muted('This will NOT:'));
+      console.log(`  ${colors.warning('✗')} Unload extensions from your browser`);
+      console.log(`  ${colors.warning('✗')} Delete extension files\n`);
+
+      // Show extensions that will remain
+      if (selectedPack.extensions && selectedPack.extensions.length > 0) {
+        console.log(colors.muted(`The following ${selectedPack.extensions.length} extension(s) will remain in your browser:`));
+        selectedPack.extensions.forEach(ext => {
+          console.log(`  • ${ext.name}${ext.version ? ` v${ext.version}` : ''}`);
+        });
+        console.log();
+        console.log(colors.muted('To fully remove, restart your browser or use --purge.\n'));
+      }
+    }
+
+    let browser = null;
+
+    if (purge && options.relaunch && !isolated) {
+      const browserName = options.browser || selectedPack.browser;
+      browser = browserName
+        ? getBrowser(browserName)
+        : getPreferredBrowser(getConfig().browser.preference);
+
+      if (!browser) {
+        console.log(colors.error('\n❌ No supported browser found. Use --no-relaunch to purge without relaunching.\n'));
+        process.exitCode = 1;
+        return;
+      }
     }
 
     // Confirm removal
@@ -98,11 +179,49 @@ Note: Removing a pack only removes it from the registry. Extensions remain
       }
     }
 
-    // Remove pack
-    removeInstalledPack(selectedPack.name);
+    const spinner = ora(`Removing ${selectedPack.name}...`).start();
 
-    console.log(colors.success(`\n✓ Removed "${selectedPack.name}" from ext-pack registry\n`));
-    console.log(colors.muted('Remember: Restart your browser to fully unload the extensions.\n'));
+    try {
+      const result = await removePack(selectedPack.name, browser, {
+        purge,
+        deleteProfile,
+        relaunch: Boolean(browser),
+        countdown: options.yes ? 0 : 3,
+        onCountdown: (seconds) => {
+          spinner.text = `${browser.displayName} will relaunch in ${seconds}...`;
+        }
+      });
+
+      spinner.succeed(`Removed "${selectedPack.name}" from ext-pack registry`);
+
+      if (purge) {
+        console.log(colors.muted(`\n  Deleted ${result.removed.length} cached extension director${result.removed.length === 1 ? 'y' : 'ies'}`));
+      }
+
+      if (result.profileRemoved) {
+        console.log(colors.muted(`\n  Deleted browser profile ${profileDir}`));
+      } else if (hasProfile) {
+        console.log(colors.muted(`\n  Kept browser profile ${profileDir} (delete it with: ext-pack profiles rm)`));
+      }
+
+      if (!result.success) {
+        console.log(colors.error(`\n❌ ${result.message}\n`));
+        console.log(colors.muted('Restart your browser to unload the extensions.\n'));
+        process.exitCode = 1;
+      } else if (browser) {
+        console.log(colors.success(`\n✓ ${result.message}\n`));
+      } else if (isolated) {
+        console.log(purge || deleteProfile
+          ? colors.success(`\n✓ ${result.message}\n`)
+          : colors.muted('\nRemember: Close the pack\'s isolated browser window to unload the extensions.\n'));
+      } else {
+        console.log(colors.muted('\nRemember: Restart your browser to fully unload the extensions.\n'));
+      }
+    } catch (error) {
+      spinner.fail('Removal failed');
+      console.log(colors.error(`\n❌ ${error.message}\n`));
+      process.exitCode = 1;
+    }
   });
 
 export default removeCommand;
@@ -0,0 +1,184 @@
+/**
+ * Rollback command - Restore a previous generation of an installed pack
+ */
+
+import { Command } from 'commander';
+import inquirer from 'inquirer';
+import ora from 'ora';
+import { getInstalledPacks, getConfig } from '../utils/config-manager.js';
+import { rollbackPack } from '../core/pack-installer.js';
+import { getBrowser, getPreferredBrowser } from '../utils/browser-detector.js';
+import { colors, timeAgo } from '../ui/helpers.js';
+
+export const rollbackCommand = new Command('rollback')
+  .argument('[pack]', 'Pack name to roll back')
+  .description('Restore a previous install of a pack')
+  .option('--to <generation>', 'Generation number to restore (default: previous)')
+  .option('-b, --browser <name>', 'Browser to relaunch (brave, chrome, edge)')
+  .option('-y, --yes', 'Skip confirmations')
+  .option('--no-relaunch', 'Don\'t relaunch browser')
+  .addHelpText('after', `
+Examples:
+  $ ext-pack rollback                   # Pick a pack and generation interactively
+  $ ext-pack rollback my-pack           # Restore the generation before the current one
+  $ ext-pack rollback my-pack --to 2    # Restore generation 2
+  $ ext-pack rollback my-pack -y        # Restore previous generation without prompts
+
+Every install and update of a pack records a generation (pack version,
+extension versions, cache paths and pack file hash) in ~/.ext-pack/installed.json.
+Rolling back reuses the cached extension files, re-extracting them from the
+archived pack file if they were removed.
+`)
+  .action(async (packName, options) => {
+    const packs = (getInstalledPacks().packs || []).filter(p => p.generations?.length > 0);
+
+    if (packs.length === 0) {
+      console.log(colors.muted('\n  No pack history recorded yet.\n'));
+      return;
+    }
+
+    let selectedPack;
+
+    if (packName) {
+      selectedPack = packs.find(p => p.name === packName);
+
+      if (!selectedPack) {
+        console.log(colors.error(`\n❌ Pack "${packName}" has no install history\n`));
+        process.exitCode = 1;
+        return;
+      }
+    } else {
+      const { selected } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'selected',
+          message: 'Select pack to roll back:',
+          choices: packs.map(p => ({
+            name: `${p.name} ${colors.muted(`(${p.generations.length} generation(s))`)}`,
+            value: p
+          }))
+        }
+      ]);
+
+      selectedPack = selected;
+    }
+
+    const current = selectedPack.generation;
+    const earlier = selectedPack.generations.filter(g => g.generation !== current);
+
+    if (earlier.length === 0) {
+      console.log(colors.muted(`\n  "${selectedPack.name}" has no earlier generation to restore.\n`));
+      return;
+    }
+
+    // Default target: newest generation older than the active one
+    const previous = earlier.filter(g => g.generation < current).pop() || earlier[earlier.length - 1];
+    let target;
+
+    if (options.to !== undefined) {
+      const number = parseInt(options.to, 10);
+      target = selectedPack.generations.find(g => g.generation === number);
+
+      if (!target) {
+        console.log(colors.error(`\n❌ Generation ${options.to} not found for "${selectedPack.name}"\n`));
+        console.log(colors.muted(`Available: ${selectedPack.generations.map(g => g.generation).join(', ')}\n`));
+        process.exitCode = 1;
+        return;
+      }
+
+      if (target.generation === current) {
+        console.log(colors.muted(`\n  Generation ${current} is already active.\n`));
+        return;
+      }
+    } else if (options.yes) {
+      target = previous;
+    } else {
+      const { selected } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'selected',
+          message: 'Restore which generation?',
+          default: earlier.indexOf(previous),
+          choices: earlier.slice().reverse().map(g => ({
+            name: `#${g.generation}  v${g.version}  ${colors.muted(`${g.extensions.length} ext, installed ${timeAgo(g.installed)}`)}`,
+            value: g
+          }))
+        }
+      ]);
+
+      target = selected;
+    }
+
+    // Show what will change
+    const active = selectedPack.generations.find(g => g.generation === current);
+    console.log(colors.bold(`\n  ${selectedPack.name}: generation ${current} → ${target.generation}\n`));
+    console.log(`  ${colors.muted('Version:')} ${active?.version || selectedPack.version} → ${target.version}`);
+    target.extensions.forEach(ext => {
+      console.log(`    • ${ext.name}${ext.version ? ` v${ext.version}` : ''}`);
+    });
+    console.log();
+
+    if (!options.yes) {
+      const { confirm } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'confirm',
+          message: 'Proceed with rollback?',
+          default: true
+        }
+      ]);
+
+      if (!confirm) {
+        console.log(colors.muted('\n  Cancelled.\n'));
+        return;
+      }
+    }
+
+    let browser = null;
+
+    if (options.relaunch) {
+      const browserName = options.browser || selectedPack.browser;
+      browser = browserName
+        ? getBrowser(browserName)
+        : getPreferredBrowser(getConfig().browser.preference);
+
+      if (!browser) {
+        console.log(colors.error('\n❌ No supported browser found. Use --no-relaunch to restore files only.\n'));
+        process.exitCode = 1;
+        return;
+      }
+    }
+
+    const spinner = ora(`Restoring generation ${target.generation}...`).start();
+
+    try {
+      const result = await rollbackPack(selectedPack.name, target.generation, browser, {
+        relaunch: options.relaunch,
+        countdown: options.yes ? 0 : 3,
+        onCountdown: (seconds) => {
+          spinner.text = `${browser.displayName} will relaunch in ${seconds}...`;
+        }
+      });
+
+      if (!result.success) {
+        spinner.fail(result.message);
+        console.log(colors.muted('\nThe pack was rolled back. Restart your browser to load it.\n'));
+        process.exitCode = 1;
+        return;
+      }
+
+      spinner.succeed(`${selectedPack.name} rolled back to generation ${target.generation} (v${target.version})`);
+
+      if (!options.relaunch) {
+        console.log(colors.muted('\nRestart your browser to load the restored extensions.\n'));
+      } else {
+        console.log(colors.success(`\n✓ ${result.message}\n`));
+      }
+    } catch (error) {
+      spinner.fail('Rollback failed');
+      console.log(colors.error(`\n❌ ${error.message}\n`));
+      process.exitCode = 1;
+    }
+  });
+
+export default rollbackCommand;
@@ -16,9 +16,10 @@ Examples:
   $ ext-pack share ~/.ext-pack/packs/dev.extpack  # Share from custom path
 
 Generates:
-  • Base64-encoded URL for direct installation
-  • QR code for easy mobile sharing
-  • Shareable link for registry packs
+  • Hub URL containing the whole pack (opens in a browser or with ext-pack install)
+  • Compressed ext-pack:// link, shorter but only opened by ext-pack install
+  • Short ext-pack:// reference link to a registry pack or a hash-pinned download
+  • QR code of the hub URL for easy mobile sharing
 `)
   .action(async (pack, options) => {
     const packPath = pack ? resolve(pack) : null;
@@ -0,0 +1,158 @@
+/**
+ * Enable / disable commands - Turn installed packs on and off without removing them
+ */
+
+import { Command } from 'commander';
+import inquirer from 'inquirer';
+import ora from 'ora';
+import { getInstalledPacks, getConfig } from '../utils/config-manager.js';
+import { setPackState } from '../core/pack-installer.js';
+import { getBrowser, getPreferredBrowser } from '../utils/browser-detector.js';
+import { colors } from '../ui/helpers.js';
+
+/**
+ * Build the enable or disable command
+ * @param {boolean} enabled - State the command switches packs to
+ * @returns {Command}
+ */
+function createToggleCommand(enabled) {
+  const verb = enabled ? 'enable' : 'disable';
+  const state = enabled ? 'enabled' : 'disabled';
+
+  return new Command(verb)
+    .argument('[pack]', `Pack name to ${verb}`)
+    .description(enabled
+      ? 'Load a disabled pack again'
+      : 'Stop loading a pack without removing it')
+    .option('-b, --browser <name>', 'Browser to relaunch (brave, chrome, edge)')
+    .option('-y, --yes', 'Skip confirmations')
+    .option('--no-relaunch', 'Don\'t relaunch browser')
+    .addHelpText('after', `
+Examples:
+  $ ext-pack ${verb}                    # Pick a pack interactively
+  $ ext-pack ${verb} my-pack            # ${enabled ? 'Enable' : 'Disable'} a pack and relaunch the browser
+  $ ext-pack ${verb} my-pack --no-relaunch
+
+Disabled packs stay in ~/.ext-pack/installed.json with their files and history,
+but are left out when the browser is relaunched. Disable packs one at a time to
+find the one breaking a site, then enable them again.
+Isolated packs run in their own profile window instead: disabling one closes
+that window and enabling it launches the window again.
+`)
+    .action(async (packName, options) => {
+      const packs = getInstalledPacks().packs || [];
+      const candidates = packs.filter(p => (p.enabled !== false) !== enabled);
+
+      if (packs.length === 0) {
+        console.log(colors.muted('\n  No packs installed.\n'));
+        return;
+      }
+
+      let selectedPack;
+
+      if (packName) {
+        selectedPack = packs.find(p => p.name === packName);
+
+        if (!selectedPack) {
+          console.log(colors.error(`\n❌ Pack "${packName}" not found\n`));
+          process.exitCode = 1;
+          return;
+        }
+
+        if (!candidates.includes(selectedPack)) {
+          console.log(colors.muted(`\n  "${selectedPack.name}" is already ${state}.\n`));
+          return;
+        }
+      } else {
+        if (candidates.length === 0) {
+          console.log(colors.muted(`\n  All packs are already ${state}.\n`));
+          return;
+        }
+
+        const { selected } = await inquirer.prompt([
+          {
+            type: 'list',
+            name: 'selected',
+            message: `Select pack to ${verb}:`,
+            choices: candidates.map(p => ({
+              name: `${p.name} ${colors.muted(`(${p.extensions?.length || 0} extensions)`)}`,
+              value: p
+            }))
+          }
+        ]);
+
+        selectedPack = selected;
+      }
+
+      let browser = null;
+
+      if (options.relaunch) {
+        const browserName = options.browser || selectedPack.browser;
+        browser = browserName
+          ? getBrowser(browserName)
+          : getPreferredBrowser(getConfig().browser.preference);
+
+        if (!browser) {
+          console.log(colors.error(`\n❌ No supported browser found. Use --no-relaunch to only mark the pack as ${state}.\n`));
+          process.exitCode = 1;
+          return;
+        }
+
+        if (!options.yes) {
+          const { confirm } = await inquirer.prompt([
+            {
+              type: 'confirm',
+              name: 'confirm',
+              message: selectedPack.isolated
+                ? `${enabled ? 'Enable' : 'Disable'} "${selectedPack.name}" and ${enabled ? 'open' : 'close'} its isolated ${browser.displayName} window?`
+                : `${enabled ? 'Enable' : 'Disable'} "${selectedPack.name}" and relaunch ${browser.displayName}?`,
+              default: true
+            }
+          ]);
+
+          if (!confirm) {
+            console.log(colors.muted('\n  Cancelled.\n'));
+            return;
+          }
+        }
+      }
+
+      const spinner = ora(`${enabled ? 'Enabling' : 'Disabling'} ${selectedPack.name}...`).start();
+
+      try {
+        const result = await setPackState(selectedPack.name, enabled, browser, {
+          relaunch: options.relaunch,
+          countdown: options.yes ? 0 : 3,
+          onCountdown: (seconds) => {
+            spinner.text = `${browser.displayName} will relaunch in ${seconds}...`;
+          }
+        });
+
+        if (!result.success) {
+          spinner.fail(result.message);
+          console.log(colors.muted(`\n"${selectedPack.name}" is ${state}. Restart your browser to apply it.\n`));
+          process.exitCode = 1;
+          return;
+        }
+
+        spinner.succeed(`${selectedPack.name} ${state}`);
+
+        console.log(colors.muted(`\n  Load set: ${result.loadSet.extensions.length} extension(s) from enabled packs`));
+
+        if (!options.relaunch) {
+          console.log(colors.muted('\nRestart your browser to apply the change.\n'));
+        } else {
+          console.log(colors.success(`\n✓ ${result.message}\n`));
+        }
+      } catch (error) {
+        spinner.fail(`Failed to ${verb} pack`);
+        console.log(colors.error(`\n❌ ${error.message}\n`));
+        process.exitCode = 1;
+      }
+    });
+}
+
+export const enableCommand = createToggleCommand(true);
+export const disableCommand = createToggleCommand(false);
+
+export default { enableCommand, disableCommand };
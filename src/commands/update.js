@@ -3,22 +3,42 @@
  */
 
 import { Command } from 'commander';
-import { getInstalledPacks } from '../utils/config-manager.js';
-import { getPackInfo, isRegistryAccessible } from '../core/registry-client.js';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { getInstalledPacks, getConfig } from '../utils/config-manager.js';
+import { getPackInfo, checkForUpdate, downloadPack, isRegistryAccessible } from '../core/registry-client.js';
+import { installPack, getExtensionPaths } from '../core/pack-installer.js';
+import { relaunchWithActivePacks } from '../core/load-set.js';
+import { launchIsolated } from '../core/profiles.js';
+import { getBrowser, getPreferredBrowser } from '../utils/browser-detector.js';
 import { colors } from '../ui/helpers.js';
+import { compareVersions, getChannel } from '../utils/version.js';
 import ora from 'ora';
 import inquirer from 'inquirer';
 
 export const updateCommand = new Command('update')
   .argument('[pack]', 'Pack name to update (updates all if not specified)')
   .description('Update installed pack(s) to latest version')
+  .option('-b, --browser <name>', 'Browser to relaunch (brave, chrome, edge)')
   .option('-y, --yes', 'Skip confirmations')
+  .option('--no-relaunch', 'Don\'t relaunch browser after updating')
+  .option('--allow-downgrade', 'Install the registry version even if it is older')
+  .option('--channel <name>', 'Release channel: stable, beta, rc, ... or pre for any prerelease', 'stable')
   .addHelpText('after', `
 Examples:
   $ ext-pack update                 # Check all installed packs for updates
   $ ext-pack update my-pack         # Update specific pack
   $ ext-pack update my-pack -y      # Update without confirmation prompts
   $ ext-pack update --yes           # Update all packs without prompts
+  $ ext-pack update --no-relaunch   # Update files only, restart browser later
+  $ ext-pack update --channel beta  # Also accept 2.0.0-beta.N releases
+  $ ext-pack update my-pack --allow-downgrade  # Follow the registry back to an older version
+
+The update process:
+  1. Downloads the new .extpack from the registry
+  2. Re-extracts bundled and GitHub-sourced extensions into the cache
+  3. Records the new version in ~/.ext-pack/installed.json
+  4. Relaunches browser with the updated extensions
 `)
   .action(async (packName, options) => {
     const spinner = ora('Checking registry...').start();
@@ -57,27 +77,32 @@ Examples:
 
     // Check each pack for updates
     const updates = [];
+    const skipped = [];
 
     for (const pack of packsToCheck) {
       try {
-        const registryInfo = await getPackInfo(pack.name);
+        const registryInfo = await getPackInfo(pack.registryId || pack.name);
 
         if (!registryInfo) {
           // Pack not in registry - skip
           continue;
         }
 
-        // Compare versions (simple string comparison for now)
-        const installedVersion = pack.version || '1.0.0';
-        const latestVersion = registryInfo.version || '1.0.0';
+        const check = checkForUpdate(pack.version, registryInfo, {
+          allowDowngrade: options.allowDowngrade,
+          channel: options.channel
+        });
 
-        if (latestVersion !== installedVersion) {
+        if (check.available) {
           updates.push({
             pack,
             registryInfo,
-            current: installedVersion,
-            latest: latestVersion
+            current: check.current,
+            latest: check.latest,
+            downgrade: check.status === 'downgrade'
           });
+        } else if (check.status !== 'current') {
+          skipped.push({ pack, ...check });
         }
       } catch (error) {
         // Skip packs that error
@@ -87,6 +112,14 @@ Examples:
 
     spinner.stop();
 
+    // Explain registry versions that were deliberately not offered
+    skipped.forEach(({ pack, current, latest, status }) => {
+      const hint = status === 'downgrade'
+        ? 'older than installed, use --allow-downgrade'
+        : `prerelease, use --channel ${getChannel(latest)}`;
+      console.log(colors.muted(`  ${pack.name}: registry has v${latest} (installed v${current}) — ${hint}`));
+    });
+
     if (updates.length === 0) {
       console.log(colors.success('\n✓ All packs are up to date!\n'));
       return;
@@ -95,9 +128,9 @@ Examples:
     // Show available updates with changelog
     console.log(colors.bold(`\n  ${updates.length} update(s) available:\n`));
 
-    updates.forEach(({ pack, registryInfo, current, latest }) => {
+    updates.forEach(({ pack, registryInfo, current, latest, downgrade }) => {
       console.log(`  ${colors.highlight(pack.name)}`);
-      console.log(`  ${colors.muted('Version:')} ${colors.muted(current)} → ${colors.success(latest)}`);
+      console.log(`  ${colors.muted('Version:')} ${colors.muted(current)} → ${downgrade ? colors.warning(`${latest} (downgrade)`) : colors.success(latest)}`);
 
       // Show what changed
       if (registryInfo.description && registryInfo.description !== pack.description) {
@@ -137,14 +170,15 @@ Examples:
       // Show updated extensions (same name, different version)
       const updatedExtensions = newExtensions.filter(newExt => {
         const oldExt = currentExtensions.find(e => e.name === newExt.name);
-        return oldExt && oldExt.version !== newExt.version;
+        return oldExt && compareVersions(oldExt.version, newExt.version) !== 0;
       });
 
       if (updatedExtensions.length > 0) {
         console.log(`  ${colors.muted(`Updated ${updatedExtensions.length} extension(s):`)}`);
         updatedExtensions.forEach(newExt => {
           const oldExt = currentExtensions.find(e => e.name === newExt.name);
-          console.log(`    • ${newExt.name}: ${oldExt.version || '?'} → ${newExt.version || '?'}`);
+          const direction = compareVersions(newExt.version, oldExt.version) < 0 ? colors.warning(' (downgrade)') : '';
+          console.log(`    • ${newExt.name}: ${oldExt.version || '?'} → ${newExt.version || '?'}${direction}`);
         });
       }
 
@@ -174,25 +208,137 @@ Examples:
       }
     }
 
+    // Resolve browser up front so a bad --browser fails before downloading
+    let browser = null;
+
+    if (options.relaunch) {
+      browser = options.browser
+        ? getBrowser(options.browser)
+        : getPreferredBrowser(getConfig().browser.preference);
+
+      if (!browser) {
+        console.log(colors.error(options.browser
+          ? `\n❌ Browser "${options.browser}" not found\n`
+          : '\n❌ No supported browser found. Install Brave, Chrome, or Chromium.\n'));
+        process.exitCode = 1;
+        return;
+      }
+    }
+
     // Perform updates
     console.log(colors.bold('\n  Updating packs...\n'));
 
-    for (const { pack } of updates) {
+    let updated = 0;
+    let failures = 0;
+    const relaunches = [];
+
+    for (const { pack, registryInfo, latest } of updates) {
       const updateSpinner = ora(`Updating ${pack.name}...`).start();
+      const registryId = pack.registryId || registryInfo.id || pack.name;
+
+      try {
+        // Replace / in pack ID to avoid nested directories
+        const packPath = join(tmpdir(), `${registryId.replace(/\//g, '-')}.extpack`);
+
+        await downloadPack(registryId, packPath, (progress) => {
+          updateSpinner.text = `Downloading ${pack.name}... ${progress.progress}%`;
+        });
+
+        updateSpinner.text = `Installing ${pack.name}...`;
+
+        const result = await installPack(packPath, browser, {
+          relaunch: false,
+          refresh: true,
+          registryId,
+          version: latest,
+          enabled: pack.enabled !== false,
+          // Packs installed with --isolated stay isolated
+          isolated: pack.isolated || null
+        });
+
+        if (!result.success) {
+          throw new Error(result.message);
+        }
+
+        updated++;
+        updateSpinner.succeed(`${pack.name} updated to v${latest}`);
+
+        // Disabled packs are not loaded anywhere, so there is nothing to relaunch
+        if (pack.enabled !== false) {
+          relaunches.push({
+            pack: { ...pack, registryId, isolated: Boolean(result.profileDir) },
+            paths: getExtensionPaths(result.results)
+          });
+        }
+
+        result.results.errors.forEach(err => {
+          console.log(colors.warning(`    ⚠ ${err.extension.name}: ${err.error}`));
+        });
+        result.legacyBundles.forEach(name => {
+          console.log(colors.warning(`    ⚠ ${name}: installed without integrity check (bundled before digests existed)`));
+        });
+      } catch (error) {
+        failures++;
+        updateSpinner.fail(`Failed to update ${pack.name}: ${error.message}`);
+      }
+    }
+
+    if (updated === 0) {
+      console.log(colors.error('\n❌ No packs were updated\n'));
+      process.exitCode = 1;
+      return;
+    }
+
+    if (failures > 0) {
+      process.exitCode = 1;
+    }
+
+    if (!options.relaunch) {
+      console.log(colors.success('\n✓ Updates complete!\n'));
+      console.log(colors.muted('Note: Restart your browser to load the updated extensions.\n'));
+      return;
+    }
+
+    let launchFailed = false;
+
+    // Isolated packs reopen their own profile; the main browser is left alone
+    for (const { pack, paths } of relaunches.filter(({ pack }) => pack.isolated)) {
+      const launchResult = await launchIsolated(browser, pack, paths, { autoKill: true });
+
+      if (launchResult.success) {
+        console.log(colors.success(`  ✓ ${pack.name}: ${launchResult.message}`));
+      } else {
+        console.log(colors.error(`  ❌ ${pack.name}: ${launchResult.message}`));
+        launchFailed = true;
+      }
+    }
 
-      // TODO: Implement actual update logic
-      // For now, just show that it would update
-      await new Promise(resolve => setTimeout(resolve, 500));
+    // Relaunch with every active pack, not just the updated ones, in the
+    // profile remembered for the browser
+    if (relaunches.some(({ pack }) => !pack.isolated)) {
+      const launchResult = await relaunchWithActivePacks(browser, {
+        autoKill: true,
+        countdown: options.yes ? 0 : 3,
+        onCountdown: (seconds) => {
+          console.log(colors.warning(`${browser.displayName} will relaunch in ${seconds}...`));
+        }
+      });
+
+      if (launchResult.success) {
+        console.log(colors.success(`  ✓ ${launchResult.message}`));
+      } else {
+        console.log(colors.error(`  ❌ ${launchResult.message}`));
+        launchFailed = true;
+      }
+    }
 
-      updateSpinner.succeed(`${pack.name} updated`);
+    if (launchFailed) {
+      console.log(colors.muted('\nPacks were updated. Restart your browser to load them.\n'));
+      process.exitCode = 1;
+      return;
     }
 
     console.log(colors.success('\n✓ Updates complete!\n'));
-    console.log(colors.muted('Note: Restart your browser to load the updated extensions.\n'));
-    console.log(colors.bold('Coming soon:'));
-    console.log(colors.muted('  • Automatic download and reinstall'));
-    console.log(colors.muted('  • Browser auto-restart'));
-    console.log(colors.muted('  • Rollback to previous version\n'));
   });
 
 export default updateCommand;
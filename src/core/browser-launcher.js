@@ -3,44 +3,132 @@
  */
 
 import { spawn, exec } from 'child_process';
+import { readlinkSync, lstatSync } from 'fs';
+import { join, resolve } from 'path';
 import { promisify } from 'util';
 import find from 'find-process';
 import { getPlatform } from '../utils/browser-detector.js';
 
 const execAsync = promisify(exec);
 
+// Chromium's per-user-data-dir lock; on Linux and macOS a symlink to "<host>-<pid>"
+const SINGLETON_LOCK = 'SingletonLock';
+
 /**
- * Check if a browser is running
- * @param {string} processName - Browser process name
- * @returns {Promise<boolean>}
+ * Find the browser process holding a user data directory
+ * @param {string} userDataDir - Browser user data directory
+ * @returns {Promise<number|null>} Process ID, or null if the directory is not in use
  */
-export async function isBrowserRunning(processName) {
+export async function getUserDataDirProcess(userDataDir) {
+  if (getPlatform() !== 'win32') {
+    return readSingletonLock(userDataDir);
+  }
+
+  // Windows keeps no readable lock: match the top-level process started on this data dir
   try {
-    const processes = await find('name', processName);
-    return processes.length > 0;
+    const processes = await find('name', '--user-data-dir=');
+    const main = processes.find(p => !/--type=/.test(p.cmd || '') && usesUserDataDir(p.cmd || '', userDataDir));
+    return main?.pid || null;
   } catch (err) {
     console.error('Error checking browser process:', err);
-    return false;
+    return null;
   }
 }
 
 /**
- * Kill browser process
- * @param {string} processName - Browser process name
+ * Check whether a command line was started on a user data directory
+ * Handles both --user-data-dir="C:\dir" and a quoted "--user-data-dir=C:\dir".
+ * @param {string} cmd - Process command line
+ * @param {string} userDataDir
+ * @returns {boolean}
+ */
+function usesUserDataDir(cmd, userDataDir) {
+  const flag = '--user-data-dir=';
+  const start = cmd.indexOf(flag);
+  if (start === -1) return false;
+
+  const value = cmd.slice(start + flag.length).replace(/^"/, '').toLowerCase();
+  const target = resolve(userDataDir).toLowerCase();
+
+  // The path must end right there, so profiles/dev does not match profiles/dev-tools
+  return value.startsWith(target) && /^(["\s]|$)/.test(value.slice(target.length));
+}
+
+/**
+ * Read the process ID from a user data directory's SingletonLock (Linux and macOS)
+ * @param {string} userDataDir
+ * @returns {number|null} Process ID, or null if the lock is missing or stale
+ */
+function readSingletonLock(userDataDir) {
+  const lockPath = join(userDataDir, SINGLETON_LOCK);
+
+  try {
+    if (!lstatSync(lockPath).isSymbolicLink()) return null;
+
+    const pid = parseInt(readlinkSync(lockPath).split('-').pop(), 10);
+    if (!pid) return null;
+
+    // Signal 0 only checks that the process exists
+    process.kill(pid, 0);
+    return pid;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Find the browser process running the browser's main user data directory
+ * Windows started on another --user-data-dir (such as isolated pack profiles)
+ * share the executable but are never reported.
+ * @param {Object} browser - Browser object from detector
+ * @returns {Promise<number|null>} Process ID, or null if the main browser is not running
+ */
+export async function getBrowserProcess(browser) {
+  // The lock names the owning process exactly
+  if (browser.userDataDir && getPlatform() !== 'win32') {
+    return readSingletonLock(browser.userDataDir);
+  }
+
+  // Windows keeps no readable lock: take the top-level process not started on another data dir
+  try {
+    const processes = await find('name', browser.processName);
+    const main = processes.find(p => !/--type=|--user-data-dir=/.test(p.cmd || ''));
+    return main?.pid || null;
+  } catch (err) {
+    console.error('Error checking browser process:', err);
+    return null;
+  }
+}
+
+/**
+ * Check if the browser is running on its main user data directory
+ * @param {Object} browser - Browser object from detector
+ * @returns {Promise<boolean>}
+ */
+export async function isBrowserRunning(browser) {
+  return Boolean(await getBrowserProcess(browser));
+}
+
+/**
+ * Close the browser running the main user data directory
+ * Only that process is signalled; it takes its helper processes with it.
+ * @param {Object} browser - Browser object from detector
  * @param {boolean} force - Force kill immediately
  * @returns {Promise<boolean>} True if killed successfully
  */
-export async function killBrowser(processName, force = false) {
-  const currentPlatform = getPlatform();
+export async function killBrowser(browser, force = false) {
+  const pid = await getBrowserProcess(browser);
+
+  if (!pid) {
+    return true;
+  }
 
   try {
     // First, try graceful shutdown
-    if (currentPlatform === 'darwin') {
-      await execAsync(`killall ${force ? '-9' : '-TERM'} "${processName}"`);
-    } else if (currentPlatform === 'linux') {
-      await execAsync(`killall ${force ? '-9' : '-TERM'} ${processName}`);
-    } else if (currentPlatform === 'win32') {
-      await execAsync(`taskkill ${force ? '/F' : ''} /IM "${processName}"`);
+    if (getPlatform() === 'win32') {
+      await execAsync(`taskkill ${force ? '/F ' : ''}/T /PID ${pid}`);
+    } else {
+      process.kill(pid, force ? 'SIGKILL' : 'SIGTERM');
     }
 
     // Wait a bit for process to exit
@@ -48,22 +136,20 @@ export async function killBrowser(processName, force = false) {
       await sleep(2000);
 
       // Check if still running
-      const stillRunning = await isBrowserRunning(processName);
-
-      if (stillRunning) {
+      if (await isBrowserRunning(browser)) {
         // Force kill
-        return await killBrowser(processName, true);
+        return await killBrowser(browser, true);
       }
     }
 
     return true;
   } catch (err) {
-    // Process may not be running, which is fine
-    const errorText = (err.message + ' ' + (err.stderr || '')).toLowerCase();
+    // Process may have exited already, which is fine
+    const errorText = (err.code + ' ' + err.message + ' ' + (err.stderr || '')).toLowerCase();
 
-    if (errorText.includes('no such process') ||
-        errorText.includes('not found') ||
-        errorText.includes('no matching processes')) {
+    if (errorText.includes('esrch') ||
+        errorText.includes('no such process') ||
+        errorText.includes('not found')) {
       return true;
     }
 
@@ -77,11 +163,14 @@ export async function killBrowser(processName, force = false) {
  * @param {string} browserPath - Path to browser executable
  * @param {Array<string>} extensionPaths - Array of extension directory paths
  * @param {Object} options - Launch options
+ * @param {string} options.userDataDir - Browser user data directory
+ * @param {string} options.profileDirectory - Profile to open within it (e.g. "Profile 1")
  * @returns {Promise<Object>} Spawned process
  */
 export async function launchBrowser(browserPath, extensionPaths, options = {}) {
   const {
     userDataDir = null,
+    profileDirectory = null,
     detached = true,
     additionalArgs = []
   } = options;
@@ -100,6 +189,10 @@ export async function launchBrowser(browserPath, extensionPaths, options = {}) {
     args.push(`--user-data-dir=${userDataDir}`);
   }
 
+  if (profileDirectory) {
+    args.push(`--profile-directory=${profileDirectory}`);
+  }
+
   // Spawn browser process
   const child = spawn(browserPath, args, {
     detached,
@@ -127,8 +220,8 @@ export async function relaunchBrowser(browser, extensionPaths, options = {}) {
     onCountdown = null
   } = options;
 
-  // Check if browser is running
-  const isRunning = await isBrowserRunning(browser.processName);
+  // Check if browser is running (isolated profile windows don't count)
+  const isRunning = await isBrowserRunning(browser);
 
   if (isRunning) {
     if (!autoKill) {
@@ -148,7 +241,7 @@ export async function relaunchBrowser(browser, extensionPaths, options = {}) {
     }
 
     // Kill browser
-    const killed = await killBrowser(browser.processName);
+    const killed = await killBrowser(browser);
 
     if (!killed) {
       return {
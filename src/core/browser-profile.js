@@ -0,0 +1,244 @@
+/**
+ * Browser profile - Read the extensions a Chromium profile actually has installed
+ *
+ * The Extensions folder of a profile only holds packed installs and keeps
+ * leftovers of uninstalled or updated extensions. The profile's Preferences
+ * (and, on Windows and macOS, Secure Preferences) list every extension the
+ * browser knows about under extensions.settings, keyed by extension ID, with
+ * where it was installed from, whether it is enabled and where its files are.
+ *
+ * Which profiles exist is recorded in the user data directory's Local State
+ * (profile.info_cache), keyed by profile directory ("Default", "Profile 1").
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { join, isAbsolute, basename } from 'path';
+import { getExtensionInfo } from './extension-scanner.js';
+
+const PREFERENCE_FILES = ['Preferences', 'Secure Preferences'];
+const LOCAL_STATE_FILE = 'Local State';
+const DEFAULT_PROFILE = 'Default';
+
+// Chromium's ManifestLocation values
+const LOCATIONS = {
+  1: 'internal',
+  2: 'external',
+  3: 'external',
+  4: 'unpacked',
+  5: 'component',
+  6: 'external',
+  7: 'policy',
+  8: 'unpacked',
+  9: 'policy',
+  10: 'component'
+};
+
+// Legacy "state" values: disabled, and external extensions the user uninstalled
+const STATE_DISABLED = 0;
+const STATE_EXTERNAL_UNINSTALLED = 2;
+
+/**
+ * Check whether a directory is a browser profile
+ * @param {string} dirPath
+ * @returns {boolean}
+ */
+export function isProfileDir(dirPath) {
+  return existsSync(join(dirPath, 'Preferences'));
+}
+
+/**
+ * Order profiles the way the browser numbers them: Default, Profile 1, Profile 2, ...
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {number}
+ */
+function compareProfiles(a, b) {
+  if (a.directory === DEFAULT_PROFILE) return -1;
+  if (b.directory === DEFAULT_PROFILE) return 1;
+  return a.directory.localeCompare(b.directory, undefined, { numeric: true });
+}
+
+/**
+ * List the profiles of a browser
+ * Without a readable Local State only the Default profile is reported, if present.
+ * @param {string} userDataDir - Browser user data directory
+ * @returns {Array<Object>} { directory, name, user, avatar, path, lastUsed }
+ */
+export function listBrowserProfiles(userDataDir) {
+  let profileState = null;
+
+  try {
+    profileState = JSON.parse(readFileSync(join(userDataDir, LOCAL_STATE_FILE), 'utf-8')).profile;
+  } catch {
+    // Missing or unreadable Local State
+  }
+
+  const infoCache = profileState?.info_cache || {};
+  const directories = Object.keys(infoCache);
+
+  if (directories.length === 0 && existsSync(join(userDataDir, DEFAULT_PROFILE))) {
+    directories.push(DEFAULT_PROFILE);
+  }
+
+  return directories
+    .map(directory => {
+      const info = infoCache[directory] || {};
+
+      return {
+        directory,
+        name: info.name || info.shortcut_name || directory,
+        user: info.user_name || null,
+        avatar: info.avatar_icon || null,
+        path: join(userDataDir, directory),
+        lastUsed: profileState?.last_used === directory
+      };
+    })
+    .filter(profile => existsSync(profile.path))
+    .sort(compareProfiles);
+}
+
+/**
+ * Find a browser profile by display name or directory
+ * @param {string} userDataDir - Browser user data directory
+ * @param {string} nameOrDirectory - "Work", "Profile 1", "Default", ...
+ * @returns {Object} Profile from listBrowserProfiles
+ */
+export function findBrowserProfile(userDataDir, nameOrDirectory) {
+  const profiles = listBrowserProfiles(userDataDir);
+  const wanted = nameOrDirectory.toLowerCase();
+
+  const profile = profiles.find(p => p.directory.toLowerCase() === wanted)
+    || profiles.find(p => p.name.toLowerCase() === wanted);
+
+  if (!profile) {
+    const available = profiles.map(p => (p.name === p.directory ? p.name : `${p.name} (${p.directory})`));
+    throw new Error(
+      `Browser profile "${nameOrDirectory}" not found` +
+      (available.length > 0 ? `. Available: ${available.join(', ')}` : '')
+    );
+  }
+
+  return profile;
+}
+
+/**
+ * Describe a profile the way the browser's profile menu does
+ * @param {Object} profile - Profile from listBrowserProfiles
+ * @returns {string}
+ */
+export function formatProfileLabel(profile) {
+  return profile.user ? `${profile.name} (${profile.user})` : profile.name;
+}
+
+/**
+ * Merge extensions.settings from Preferences and Secure Preferences
+ * @param {string} profilePath - Profile directory (e.g. .../User Data/Default)
+ * @returns {Object} Settings keyed by extension ID
+ */
+function readExtensionSettings(profilePath) {
+  const settings = {};
+  let found = false;
+
+  for (const file of PREFERENCE_FILES) {
+    const prefsPath = join(profilePath, file);
+    if (!existsSync(prefsPath)) continue;
+
+    let prefs;
+    try {
+      prefs = JSON.parse(readFileSync(prefsPath, 'utf-8'));
+    } catch (err) {
+      throw new Error(`Cannot read ${prefsPath}: ${err.message}`);
+    }
+
+    found = true;
+    for (const [id, entry] of Object.entries(prefs.extensions?.settings || {})) {
+      settings[id] = { ...settings[id], ...entry };
+    }
+  }
+
+  if (!found) {
+    throw new Error(`No Preferences file in ${profilePath}`);
+  }
+
+  return settings;
+}
+
+/**
+ * Classify where an extension was installed from
+ * @param {Object} entry - extensions.settings entry
+ * @returns {string} store, unpacked, policy, external, internal or component
+ */
+function getInstallLocation(entry) {
+  const location = LOCATIONS[entry.location] || 'internal';
+
+  // Policy installs stay "policy" even when the administrator pulls them from the store
+  if (entry.from_webstore && (location === 'internal' || location === 'external')) {
+    return 'store';
+  }
+
+  return location;
+}
+
+/**
+ * Check whether the browser loads an extension
+ * Current Chromium records disable_reasons (a bit mask, newer builds a list);
+ * older builds used state.
+ * @param {Object} entry - extensions.settings entry
+ * @returns {boolean}
+ */
+function isEnabled(entry) {
+  const reasons = entry.disable_reasons;
+
+  if (Array.isArray(reasons) ? reasons.length > 0 : Boolean(reasons)) {
+    return false;
+  }
+
+  return entry.state !== STATE_DISABLED;
+}
+
+/**
+ * List the extensions installed in a browser profile
+ * Component extensions (built into the browser), uninstalled external
+ * extensions and entries whose files are gone are left out.
+ * @param {string} profilePath - Profile directory (e.g. .../User Data/Default)
+ * @returns {Array<Object>} { id, name, version, description, enabled, location, path, profile }
+ */
+export function readProfileExtensions(profilePath) {
+  const settings = readExtensionSettings(profilePath);
+  const extensions = [];
+
+  for (const [id, entry] of Object.entries(settings)) {
+    const location = getInstallLocation(entry);
+
+    if (location === 'component' || !entry.path || entry.state === STATE_EXTERNAL_UNINSTALLED) {
+      continue;
+    }
+
+    // Packed installs are recorded relative to the profile's Extensions folder
+    const path = isAbsolute(entry.path) ? entry.path : join(profilePath, 'Extensions', entry.path);
+    const info = getExtensionInfo(path);
+
+    if (!info) continue;
+
+    extensions.push({
+      id,
+      name: info.name,
+      version: info.version,
+      description: info.description,
+      enabled: isEnabled(entry),
+      location,
+      path,
+      profile: basename(profilePath)
+    });
+  }
+
+  return extensions.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export default {
+  isProfileDir,
+  listBrowserProfiles,
+  findBrowserProfile,
+  formatProfileLabel,
+  readProfileExtensions
+};
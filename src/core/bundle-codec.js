@@ -6,21 +6,73 @@ import { gzipSync, gunzipSync } from 'zlib';
 import fs from 'fs-extra';
 import path from 'path';
 import { getExtensionInfo } from './extension-scanner.js';
+import {
+  getExtensionKeysDir,
+  getSourceExtensionKey,
+  getManifestKey,
+  getIdFromManifestKey
+} from './extension-keys.js';
+import { sha256 } from '../utils/hash.js';
+import { findUnsafeEntries, resolveInside, assertNoSymlinks } from '../utils/safe-path.js';
+
+// Web Store signature data in browser installs; Chromium will not load it unpacked
+const STORE_METADATA_DIR = '_metadata';
 
 /**
  * Bundle extension directory into compressed base64 files
  * @param {string} extensionPath - Path to extension directory
+ * @param {Object} options - Bundle options
+ * @param {boolean} options.fromProfile - The directory is a browser's install of the extension,
+ *   so store-only data is removed (see sanitizeExtensionFiles)
+ * @param {Function} options.onSanitize - Called with { name, changes } when store-only data was removed
+ * @param {boolean} options.generateKey - Give extensions without a manifest "key" one, so their ID is stable;
+ *   the key belongs to the source directory and its ref is recorded as keyRef
+ * @param {string} options.keysDir - Directory of per-extension keys (default: ~/.ext-pack/keys/extensions)
+ * @param {Function} options.onKey - Called with { name, extensionId, keyPath, keyRef, generated } when a key was added
  * @returns {Promise<Object>} Bundled extension object
  */
-export async function bundleExtension(extensionPath) {
+export async function bundleExtension(extensionPath, options = {}) {
+  const {
+    fromProfile = false,
+    onSanitize = null,
+    generateKey = false,
+    keysDir = getExtensionKeysDir(),
+    onKey = null
+  } = options;
   const info = getExtensionInfo(extensionPath);
 
   if (!info) {
     throw new Error(`Invalid extension at: ${extensionPath}`);
   }
 
-  // Read all files recursively and compress
-  const files = await readDirectoryRecursive(extensionPath);
+  // Read all files recursively and compress, then drop what only the store uses
+  const { files, changes } = sanitizeExtensionFiles(await readDirectoryRecursive(extensionPath), { fromProfile });
+
+  if (onSanitize && changes.some(change => change.action === 'removed')) {
+    onSanitize({ name: info.name, changes });
+  }
+
+  // Without a key the ID comes from the install path and differs per machine
+  const manifest = readBundledManifest(files);
+
+  let keyRef = null;
+
+  if (generateKey && manifest && !manifest.key) {
+    const key = await getSourceExtensionKey(keysDir, extensionPath);
+    manifest.key = getManifestKey(key.privateKey);
+    files['manifest.json'] = encodeBundledManifest(manifest);
+    keyRef = key.keyRef;
+
+    if (onKey) {
+      onKey({
+        name: info.name,
+        extensionId: getIdFromManifestKey(manifest.key),
+        keyPath: key.keyPath,
+        keyRef,
+        generated: key.generated
+      });
+    }
+  }
 
   return {
     type: 'bundled',
@@ -29,32 +81,256 @@ export async function bundleExtension(extensionPath) {
     description: info.description,
     manifestVersion: info.manifestVersion,
     permissions: info.permissions,
-    files
+    files,
+    integrity: computeIntegrity(files),
+    // Names the key in ~/.ext-pack/keys/extensions that export --format crx signs with
+    ...(keyRef ? { keyRef } : {})
+  };
+}
+
+/**
+ * Make a browser-installed extension loadable unpacked
+ * Web Store installs carry _metadata/ (verified_contents.json, computed_hashes.json),
+ * which Chromium refuses to load unpacked, and an update_url pointing at the store.
+ * Both are removed. The manifest "key" is kept so the extension keeps its store ID,
+ * and with it its storage, OAuth client and native messaging allow-lists.
+ * Source directories are left alone: only installs read from a browser profile
+ * are sanitized.
+ * @param {Object} files - Map of relative path to gzipped base64 content
+ * @param {Object} options
+ * @param {boolean} options.fromProfile - Files come from a browser profile's install
+ * @returns {Object} { files, changes } - changes list { path, action, reason }
+ */
+export function sanitizeExtensionFiles(files, options = {}) {
+  const { fromProfile = false } = options;
+
+  if (!fromProfile) {
+    return { files, changes: [] };
+  }
+
+  const sanitized = {};
+  const changes = [];
+
+  for (const [relativePath, compressedContent] of Object.entries(files)) {
+    if (relativePath.split(/[\\/]/)[0] !== STORE_METADATA_DIR) {
+      sanitized[relativePath] = compressedContent;
+    }
+  }
+
+  if (Object.keys(sanitized).length < Object.keys(files).length) {
+    changes.push({ path: `${STORE_METADATA_DIR}/`, action: 'removed', reason: 'store signature data, Chromium will not load it unpacked' });
+  }
+
+  const manifest = readBundledManifest(sanitized);
+
+  if (manifest && 'update_url' in manifest) {
+    changes.push({ path: 'manifest.json', action: 'removed', reason: `update_url (${manifest.update_url})` });
+    delete manifest.update_url;
+    sanitized['manifest.json'] = encodeBundledManifest(manifest);
+  }
+
+  if (manifest?.key) {
+    changes.push({ path: 'manifest.json', action: 'kept', reason: 'key (keeps the extension ID)' });
+  }
+
+  return { files: sanitized, changes };
+}
+
+/**
+ * Parse the manifest of a bundled file map
+ * @param {Object} files - Map of relative path to gzipped base64 content
+ * @returns {Object|null} Manifest, or null if missing or not plain JSON
+ */
+function readBundledManifest(files) {
+  if (!files?.['manifest.json']) return null;
+
+  try {
+    return JSON.parse(gunzipSync(Buffer.from(files['manifest.json'], 'base64')).toString('utf-8'));
+  } catch {
+    // getExtensionInfo already accepted the manifest; leave anything unusual untouched
+    return null;
+  }
+}
+
+/**
+ * Encode a manifest the way readDirectoryRecursive stores files
+ * @param {Object} manifest
+ * @returns {string} Gzipped base64 content
+ */
+function encodeBundledManifest(manifest) {
+  return gzipSync(Buffer.from(JSON.stringify(manifest, null, 2) + '\n')).toString('base64');
+}
+
+/**
+ * Extension ID a bundled extension pins through its manifest "key"
+ * @param {Object} bundledExt - Bundled extension object
+ * @returns {string|null} Extension ID, or null if the ID will depend on the install path
+ */
+export function getBundledExtensionId(bundledExt) {
+  const key = readBundledManifest(bundledExt.files)?.key;
+  return key ? getIdFromManifestKey(key) : null;
+}
+
+/**
+ * Compute SHA-256 digests for bundled files
+ * Digests cover the uncompressed content so they survive re-compression.
+ * @param {Object} files - Map of relative path to gzipped base64 content
+ * @returns {Object} { algorithm, files: { path: digest }, digest }
+ */
+export function computeIntegrity(files) {
+  const digests = {};
+
+  for (const [relativePath, compressedContent] of Object.entries(files)) {
+    digests[relativePath] = sha256(gunzipSync(Buffer.from(compressedContent, 'base64')));
+  }
+
+  return {
+    algorithm: 'sha256',
+    files: digests,
+    digest: computeExtensionDigest(digests)
   };
 }
 
+/**
+ * Compute the whole-extension digest from per-file digests
+ * @param {Object} digests - Map of relative path to hex digest
+ * @returns {string} Hex digest
+ */
+function computeExtensionDigest(digests) {
+  const lines = Object.keys(digests)
+    .sort()
+    .map(relativePath => `${relativePath}\0${digests[relativePath]}\n`);
+
+  return sha256(lines.join(''));
+}
+
+/**
+ * Verify a bundled extension against its integrity block
+ * Bundles created before integrity digests existed have nothing to verify and
+ * fail unless the caller explicitly allows them.
+ * @param {Object} bundledExt - Bundled extension object
+ * @param {Object} options - Verification options
+ * @param {boolean} options.allowLegacy - Accept a bundle without an integrity block
+ * @returns {Object} { verified, legacy, errors } - errors name the offending files
+ */
+export function verifyBundleIntegrity(bundledExt, options = {}) {
+  const { integrity, files = {} } = bundledExt;
+
+  if (!integrity) {
+    return {
+      verified: false,
+      legacy: true,
+      errors: options.allowLegacy
+        ? []
+        : ['no integrity block (set security.allowLegacyBundles in config.json to install bundles made before integrity digests)']
+    };
+  }
+
+  if (integrity.algorithm !== 'sha256' || !integrity.files || !integrity.digest) {
+    return { verified: false, errors: ['integrity block is malformed'] };
+  }
+
+  const errors = [];
+
+  for (const [relativePath, expected] of Object.entries(integrity.files)) {
+    if (!(relativePath in files)) {
+      errors.push(`${relativePath}: missing from bundle`);
+      continue;
+    }
+
+    let content;
+    try {
+      content = gunzipSync(Buffer.from(files[relativePath], 'base64'));
+    } catch (err) {
+      errors.push(`${relativePath}: cannot be decompressed (${err.message})`);
+      continue;
+    }
+
+    if (sha256(content) !== expected) {
+      errors.push(`${relativePath}: checksum mismatch`);
+    }
+  }
+
+  for (const relativePath of Object.keys(files)) {
+    if (!(relativePath in integrity.files)) {
+      errors.push(`${relativePath}: not listed in integrity digests`);
+    }
+  }
+
+  if (errors.length === 0 && computeExtensionDigest(integrity.files) !== integrity.digest) {
+    errors.push('extension digest does not match file digests');
+  }
+
+  return { verified: errors.length === 0, legacy: false, errors };
+}
+
 /**
  * Extract bundled extension to target directory
+ * Integrity digests and file paths are checked before anything is written;
+ * entries that are absolute, escape the target or name a device are rejected.
  * @param {Object} bundledExt - Bundled extension object
  * @param {string} targetPath - Target directory path
+ * @param {Object} options - Extraction options
+ * @param {boolean} options.verified - Caller already ran verifyBundleIntegrity
+ * @param {boolean} options.allowLegacy - Accept a bundle without an integrity block
  * @returns {Promise<string>} Path to extracted extension
  */
-export async function extractBundledExtension(bundledExt, targetPath) {
+export async function extractBundledExtension(bundledExt, targetPath, options = {}) {
+  if (!options.verified) {
+    assertBundleIntegrity(bundledExt, { allowLegacy: options.allowLegacy });
+  }
+
+  const rejected = findUnsafeEntries(Object.keys(bundledExt.files));
+
+  if (rejected.length > 0) {
+    const error = new Error(
+      `Bundled extension "${bundledExt.name}" contains unsafe file paths:\n  ` +
+      rejected.map(entry => `${entry.path} (${entry.reason})`).join('\n  ')
+    );
+    error.rejected = rejected;
+    throw error;
+  }
+
   await fs.ensureDir(targetPath);
 
   for (const [relativePath, compressedContent] of Object.entries(bundledExt.files)) {
-    const filePath = path.join(targetPath, relativePath);
+    const filePath = resolveInside(targetPath, relativePath);
+    await assertNoSymlinks(targetPath, filePath);
     await fs.ensureDir(path.dirname(filePath));
 
     // Decode base64 → gunzip → write
     const buffer = Buffer.from(compressedContent, 'base64');
-    const decompressed = gunzipSync(buffer);
+    let decompressed;
+    try {
+      decompressed = gunzipSync(buffer);
+    } catch (err) {
+      throw new Error(`Bundled extension "${bundledExt.name}" has a corrupted file: ${relativePath} (${err.message})`);
+    }
     await fs.writeFile(filePath, decompressed);
   }
 
   return targetPath;
 }
 
+/**
+ * Throw if a bundled extension fails its integrity check
+ * @param {Object} bundledExt - Bundled extension object
+ * @param {Object} options - Verification options
+ * @param {boolean} options.allowLegacy - Accept a bundle without an integrity block
+ * @returns {Object} { verified, legacy, errors } from verifyBundleIntegrity
+ */
+export function assertBundleIntegrity(bundledExt, options = {}) {
+  const result = verifyBundleIntegrity(bundledExt, options);
+
+  if (result.errors.length > 0) {
+    throw new Error(
+      `Bundled extension "${bundledExt.name}" failed integrity check:\n  ${result.errors.join('\n  ')}`
+    );
+  }
+
+  return result;
+}
+
 /**
  * Recursively read directory and compress files
  * @param {string} dirPath - Directory to read
@@ -164,7 +440,12 @@ export async function getCompressionStats(extensionPath, bundledExt) {
 // Default export
 export default {
   bundleExtension,
+  sanitizeExtensionFiles,
+  getBundledExtensionId,
   extractBundledExtension,
+  computeIntegrity,
+  verifyBundleIntegrity,
+  assertBundleIntegrity,
   calculateBundleSize,
   getCompressionStats
 };
@@ -0,0 +1,451 @@
+/**
+ * Cache manager - Track which installed packs use which download cache entries
+ *
+ * Every top-level directory in ~/.ext-pack/downloads is one cache entry, named
+ * after a hash of its content: bundled-<files digest>, crx-<file hash> and
+ * github-<asset hash>, so identical extensions are stored once no matter which
+ * packs ship them. Installed extensions point into an entry,
+ * either at its root or at a subdirectory for GitHub releases, and rollback
+ * generations keep pointing at older entries, so an entry is only safe to delete
+ * once nothing in installed.json refers to it.
+ *
+ * Entries used by an installed pack right now are never pruned. Entries only
+ * referenced by older generations can be re-extracted from the archived pack
+ * file on rollback, so they are evicted least recently used first when the
+ * cache grows past its size budget.
+ */
+
+import { isAbsolute, join, relative, resolve, sep } from 'path';
+import fs from 'fs-extra';
+import { sha256, hashDirectory } from '../utils/hash.js';
+import { getCacheDir, getInstalledPacks, getConfig } from '../utils/config-manager.js';
+import { getExtensionInfo } from './extension-scanner.js';
+import { findExtensionDir, resolveRelease, parseRepo } from './github-api.js';
+
+/**
+ * Default cache size budget (override in config.json under cache.maxSize)
+ */
+export const DEFAULT_CACHE_MAX_SIZE = 1024 * 1024 * 1024;
+
+/**
+ * Default seconds a resolved "latest" release is trusted (override in config.json under cache.releaseTtl)
+ */
+export const DEFAULT_RELEASE_TTL = 60 * 60;
+
+// Staging and backup directories younger than this may belong to a running install
+const IN_PROGRESS_GRACE_MS = 60 * 60 * 1000;
+
+// Length of the hex digest used in cache entry names
+const KEY_LENGTH = 32;
+
+const RELEASE_INDEX_FILE = 'releases.json';
+
+// Release index updates run one at a time so parallel lookups don't drop each other's records
+let releaseIndexQueue = Promise.resolve();
+
+const SIZE_UNITS = { b: 1, k: 1024, kb: 1024, m: 1024 ** 2, mb: 1024 ** 2, g: 1024 ** 3, gb: 1024 ** 3 };
+
+/**
+ * Cache entry name for a bundled extension
+ * @param {string} digest - Whole-extension digest from the bundle's integrity block
+ * @returns {string}
+ */
+export function getBundledCacheKey(digest) {
+  return `bundled-${digest.slice(0, KEY_LENGTH)}`;
+}
+
+/**
+ * Cache entry name for a resolved GitHub release asset
+ * Uses the asset's published SHA-256 when GitHub reports one; otherwise the
+ * asset's identity, which changes whenever the asset is replaced.
+ * @param {Object} release - Result of resolveRelease
+ * @returns {string}
+ */
+export function getReleaseCacheKey(release) {
+  const digest = release.assetDigest
+    || sha256(`${release.assetUrl}\n${release.assetId || ''}\n${release.updatedAt || ''}`);
+
+  return `github-${digest.slice(0, KEY_LENGTH)}`;
+}
+
+/**
+ * Read the index of resolved GitHub releases
+ * @returns {Promise<Object>} "owner/repo@tag" → { tag, assetUrl, cacheKey, resolved }
+ */
+async function readReleaseIndex() {
+  const indexPath = join(getCacheDir(), RELEASE_INDEX_FILE);
+
+  try {
+    return await fs.readJson(indexPath);
+  } catch (err) {
+    return {};
+  }
+}
+
+/**
+ * Look up which cache entry a repo and tag resolved to last time
+ * @param {string} repo - owner/repo
+ * @param {string} tag - Requested tag (or 'latest')
+ * @returns {Promise<Object|null>} { tag, assetUrl, assetDigest, cacheKey, resolved }
+ */
+export async function getIndexedRelease(repo, tag) {
+  const index = await readReleaseIndex();
+  return index[`${repo}@${tag}`] || null;
+}
+
+/**
+ * Remember which cache entry a repo and tag resolved to
+ * @param {string} repo - owner/repo
+ * @param {string} tag - Requested tag (or 'latest')
+ * @param {Object} release - Result of resolveRelease
+ * @returns {Promise<Object>} The stored record
+ */
+export async function recordRelease(repo, tag, release) {
+  const record = {
+    tag: release.tag,
+    assetUrl: release.assetUrl,
+    assetDigest: release.assetDigest || null,
+    cacheKey: getReleaseCacheKey(release),
+    resolved: new Date().toISOString()
+  };
+
+  const write = releaseIndexQueue.then(async () => {
+    const index = await readReleaseIndex();
+    index[`${repo}@${tag}`] = record;
+
+    await fs.ensureDir(getCacheDir());
+    await fs.writeJson(join(getCacheDir(), RELEASE_INDEX_FILE), index, { spaces: 2 });
+  });
+
+  releaseIndexQueue = write.catch(() => {});
+  await write;
+  return record;
+}
+
+/**
+ * Get how long a resolved "latest" release is trusted
+ * @returns {number} Seconds
+ */
+export function getReleaseTtl() {
+  const configured = getConfig().cache?.releaseTtl;
+  return typeof configured === 'number' && configured >= 0 ? configured : DEFAULT_RELEASE_TTL;
+}
+
+/**
+ * Resolve a repo and tag to a release asset, reusing the last answer while fresh
+ * Pinned tags are resolved once; "latest" is asked again after the TTL.
+ * @param {string} repo - owner/repo
+ * @param {string} tag - Requested tag (or 'latest')
+ * @param {Object} options
+ * @param {boolean} options.refresh - Ask GitHub even if the last answer is fresh
+ * @param {number} options.ttl - Seconds to trust a resolved "latest" (default: config)
+ * @returns {Promise<Object>} { tag, assetUrl, assetDigest, cacheKey, resolved }
+ */
+export async function resolveReleaseCached(repo, tag, options = {}) {
+  const { refresh = false, ttl = getReleaseTtl() } = options;
+
+  const indexed = refresh ? null : await getIndexedRelease(repo, tag);
+
+  if (indexed && (tag !== 'latest' || Date.now() - Date.parse(indexed.resolved) < ttl * 1000)) {
+    return indexed;
+  }
+
+  const { owner, repo: name } = parseRepo(repo);
+  return recordRelease(repo, tag, await resolveRelease(owner, name, tag));
+}
+
+/**
+ * Get the cache entry a path lives in
+ * @param {string} path - Extension path
+ * @returns {string|null} Entry directory name, or null outside the cache
+ */
+export function getCacheEntryName(path) {
+  if (!path) return null;
+
+  const relativePath = relative(getCacheDir(), resolve(path));
+
+  if (!relativePath || relativePath.startsWith('..') || isAbsolute(relativePath)) {
+    return null;
+  }
+
+  return relativePath.split(sep)[0];
+}
+
+/**
+ * Map every referenced cache entry to the packs that use it
+ * @param {Array<Object>} packs - Installed pack entries (default: installed.json)
+ * @param {Object} options
+ * @param {boolean} options.generations - Also count recorded generations (default: true)
+ * @returns {Map<string, Set<string>>} Entry name → pack names
+ */
+export function getCacheReferences(packs = getInstalledPacks().packs || [], options = {}) {
+  const { generations = true } = options;
+  const references = new Map();
+
+  for (const pack of packs) {
+    const extensions = [
+      ...(pack.extensions || []),
+      ...(generations ? (pack.generations || []).flatMap(g => g.extensions || []) : [])
+    ];
+
+    for (const ext of extensions) {
+      const entry = getCacheEntryName(ext.path);
+      if (!entry) continue;
+
+      if (!references.has(entry)) {
+        references.set(entry, new Set());
+      }
+      references.get(entry).add(pack.name);
+    }
+  }
+
+  return references;
+}
+
+/**
+ * Work out which cache entries can be deleted along with a pack
+ * @param {string} packName - Pack being removed
+ * @param {Array<Object>} packs - Installed pack entries (default: installed.json)
+ * @returns {Object} { purgeable: [{ name, path }], shared: [{ name, path, packs }] }
+ */
+export function planPackPurge(packName, packs = getInstalledPacks().packs || []) {
+  const pack = packs.find(p => p.name === packName);
+
+  if (!pack) {
+    throw new Error(`Pack "${packName}" is not installed`);
+  }
+
+  const own = getCacheReferences([pack]);
+  const others = getCacheReferences(packs.filter(p => p.name !== packName));
+
+  const purgeable = [];
+  const shared = [];
+
+  for (const name of [...own.keys()].sort()) {
+    const path = join(getCacheDir(), name);
+
+    if (others.has(name)) {
+      shared.push({ name, path, packs: [...others.get(name)].sort() });
+    } else {
+      purgeable.push({ name, path });
+    }
+  }
+
+  return { purgeable, shared };
+}
+
+/**
+ * Delete cache entries
+ * @param {Array<Object>} entries - { name, path } from planPackPurge
+ * @returns {Promise<Array<Object>>} Entries that existed and were removed
+ */
+export async function removeCacheEntries(entries) {
+  const removed = [];
+
+  for (const entry of entries) {
+    if (await fs.pathExists(entry.path)) {
+      await fs.remove(entry.path);
+      removed.push(entry);
+    }
+  }
+
+  return removed;
+}
+
+/**
+ * Mark a cache entry as used now, for least-recently-used eviction
+ * @param {string} path - Cache entry directory
+ * @returns {Promise<void>}
+ */
+export async function touchCacheEntry(path) {
+  const now = new Date();
+  await fs.utimes(path, now, now).catch(() => {});
+}
+
+/**
+ * Get the cache size budget from config
+ * @returns {number} Bytes
+ */
+export function getCacheMaxSize() {
+  const configured = getConfig().cache?.maxSize;
+  return configured === undefined ? DEFAULT_CACHE_MAX_SIZE : parseSize(configured);
+}
+
+/**
+ * Parse a size such as 500MB, 2g or 1048576
+ * @param {string|number} value
+ * @returns {number} Bytes
+ */
+export function parseSize(value) {
+  if (typeof value === 'number' && value >= 0) {
+    return value;
+  }
+
+  const match = String(value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*([kmg]?b?)$/);
+
+  if (!match) {
+    throw new Error(`Invalid size "${value}". Use bytes or a value like 500MB or 2GB`);
+  }
+
+  return Math.round(parseFloat(match[1]) * SIZE_UNITS[match[2] || 'b']);
+}
+
+/**
+ * Total size of the files in a directory tree
+ * @param {string} dirPath
+ * @returns {Promise<number>} Bytes
+ */
+async function getDirectorySize(dirPath) {
+  let size = 0;
+
+  for (const entry of await fs.readdir(dirPath, { withFileTypes: true })) {
+    const entryPath = join(dirPath, entry.name);
+
+    if (entry.isDirectory()) {
+      size += await getDirectorySize(entryPath);
+    } else if (entry.isFile()) {
+      size += (await fs.stat(entryPath)).size;
+    }
+  }
+
+  return size;
+}
+
+/**
+ * List every cache entry with its size, age and the packs using it
+ * @param {Array<Object>} packs - Installed pack entries (default: installed.json)
+ * @returns {Promise<Array<Object>>} Entries, least recently used first:
+ *   { name, path, size, lastUsed, packs, historyPacks, status }
+ *   status: 'active' (used by an installed pack), 'history' (only by older
+ *   generations), 'orphan' (by nothing) or 'in-progress' (a running install's staging dir)
+ */
+export async function listCacheEntries(packs = getInstalledPacks().packs || []) {
+  const cacheDir = getCacheDir();
+
+  if (!await fs.pathExists(cacheDir)) {
+    return [];
+  }
+
+  const active = getCacheReferences(packs, { generations: false });
+  const all = getCacheReferences(packs);
+  const entries = [];
+
+  for (const dirent of await fs.readdir(cacheDir, { withFileTypes: true })) {
+    if (!dirent.isDirectory()) continue;
+
+    const name = dirent.name;
+    const path = join(cacheDir, name);
+    const stats = await fs.stat(path);
+    const activePacks = [...(active.get(name) || [])].sort();
+    const historyPacks = [...(all.get(name) || [])].filter(p => !activePacks.includes(p)).sort();
+
+    let status = 'orphan';
+    if (activePacks.length > 0) {
+      status = 'active';
+    } else if (historyPacks.length > 0) {
+      status = 'history';
+    } else if (/\.(staging|old)-\d+-\d+$/.test(name) && Date.now() - stats.mtimeMs < IN_PROGRESS_GRACE_MS) {
+      status = 'in-progress';
+    }
+
+    entries.push({
+      name,
+      path,
+      size: await getDirectorySize(path),
+      lastUsed: stats.mtime,
+      packs: activePacks,
+      historyPacks,
+      status
+    });
+  }
+
+  return entries.sort((a, b) => a.lastUsed - b.lastUsed || a.name.localeCompare(b.name));
+}
+
+/**
+ * Check that a cache entry still holds a loadable extension
+ * @param {Object} entry - Entry from listCacheEntries
+ * @returns {Promise<Object>} { valid, reason }
+ */
+export async function verifyCacheEntry(entry) {
+  // Bundled entries are named after their content, so the files can be checked
+  const bundled = entry.name.match(/^bundled-([0-9a-f]+)$/);
+  if (bundled && bundled[1].length === KEY_LENGTH) {
+    const digest = await hashDirectory(entry.path);
+    if (!digest.startsWith(bundled[1])) {
+      return { valid: false, reason: 'files do not match their digest' };
+    }
+  }
+
+  if (getExtensionInfo(entry.path)) {
+    return { valid: true, reason: null };
+  }
+
+  // GitHub releases may keep the extension in a subdirectory
+  try {
+    const extensionDir = await findExtensionDir(entry.path);
+    if (getExtensionInfo(extensionDir)) {
+      return { valid: true, reason: null };
+    }
+  } catch (err) {
+    // Fall through to invalid
+  }
+
+  return { valid: false, reason: 'no valid manifest.json' };
+}
+
+/**
+ * Choose cache entries to delete
+ * Orphans always go. If the cache is still larger than maxSize, entries only
+ * referenced by older generations are evicted, least recently used first.
+ * @param {Array<Object>} entries - From listCacheEntries
+ * @param {Object} options
+ * @param {number} options.maxSize - Size budget in bytes (default: config)
+ * @returns {Object} { remove: [entry + reason], freed, remaining, overBudget }
+ */
+export function planCachePrune(entries, options = {}) {
+  const { maxSize = getCacheMaxSize() } = options;
+
+  const remove = entries
+    .filter(e => e.status === 'orphan')
+    .map(e => ({ ...e, reason: 'orphan' }));
+
+  let remaining = entries
+    .filter(e => e.status !== 'orphan')
+    .reduce((total, e) => total + e.size, 0);
+
+  for (const entry of entries.filter(e => e.status === 'history')) {
+    if (remaining <= maxSize) break;
+
+    remove.push({ ...entry, reason: 'size budget' });
+    remaining -= entry.size;
+  }
+
+  return {
+    remove,
+    freed: remove.reduce((total, e) => total + e.size, 0),
+    remaining,
+    overBudget: remaining > maxSize
+  };
+}
+
+export default {
+  DEFAULT_CACHE_MAX_SIZE,
+  DEFAULT_RELEASE_TTL,
+  getBundledCacheKey,
+  getReleaseCacheKey,
+  getIndexedRelease,
+  recordRelease,
+  getReleaseTtl,
+  resolveReleaseCached,
+  getCacheEntryName,
+  getCacheReferences,
+  planPackPurge,
+  removeCacheEntries,
+  touchCacheEntry,
+  getCacheMaxSize,
+  parseSize,
+  listCacheEntries,
+  verifyCacheEntry,
+  planCachePrune
+};
@@ -0,0 +1,360 @@
+/**
+ * CRX - Read, verify and write CRX3 extension packages
+ *
+ * A CRX3 file is "Cr24", a little-endian format version (3), the header
+ * length, a protobuf CrxFileHeader, then a plain zip archive. The header
+ * carries one or more key proofs (RSA or ECDSA, each a public key plus a
+ * signature) and signed data containing the 16-byte CRX ID, which is the
+ * first half of the SHA-256 of the extension's public key.
+ */
+
+import { createHash, createPublicKey, sign, verify } from 'crypto';
+import { Readable } from 'stream';
+import fs from 'fs-extra';
+import { extractZip } from './safe-extract.js';
+
+const CRX_MAGIC = 'Cr24';
+const CRX_VERSION = 3;
+const SIGNATURE_CONTEXT = Buffer.from('CRX3 SignedData\x00', 'binary');
+
+// CrxFileHeader field numbers
+const FIELD_SHA256_WITH_RSA = 2;
+const FIELD_SHA256_WITH_ECDSA = 3;
+const FIELD_SIGNED_HEADER_DATA = 10000;
+
+// AsymmetricKeyProof / SignedData field numbers
+const FIELD_PUBLIC_KEY = 1;
+const FIELD_SIGNATURE = 2;
+const FIELD_CRX_ID = 1;
+
+/**
+ * Read a protobuf varint
+ * @param {Buffer} buffer
+ * @param {number} offset
+ * @returns {Object} { value, offset }
+ */
+function readVarint(buffer, offset) {
+  let value = 0;
+  let shift = 0;
+
+  while (offset < buffer.length) {
+    const byte = buffer[offset++];
+    value += (byte & 0x7f) * 2 ** shift;
+
+    if ((byte & 0x80) === 0) {
+      return { value, offset };
+    }
+
+    shift += 7;
+    if (shift > 49) break;
+  }
+
+  throw new Error('Malformed CRX header: bad varint');
+}
+
+/**
+ * Decode the length-delimited fields of a protobuf message
+ * Other wire types are skipped; CRX headers only use bytes fields.
+ * @param {Buffer} buffer
+ * @returns {Array<Object>} { field, value } in order of appearance
+ */
+function decodeMessage(buffer) {
+  const fields = [];
+  let offset = 0;
+
+  while (offset < buffer.length) {
+    const tag = readVarint(buffer, offset);
+    offset = tag.offset;
+
+    const field = Math.floor(tag.value / 8);
+    const wireType = tag.value % 8;
+
+    if (wireType === 0) {
+      offset = readVarint(buffer, offset).offset;
+    } else if (wireType === 1) {
+      offset += 8;
+    } else if (wireType === 5) {
+      offset += 4;
+    } else if (wireType === 2) {
+      const length = readVarint(buffer, offset);
+      offset = length.offset;
+
+      if (offset + length.value > buffer.length) {
+        throw new Error('Malformed CRX header: field runs past end of header');
+      }
+
+      fields.push({ field, value: buffer.subarray(offset, offset + length.value) });
+      offset += length.value;
+    } else {
+      throw new Error(`Malformed CRX header: unsupported wire type ${wireType}`);
+    }
+  }
+
+  if (offset > buffer.length) {
+    throw new Error('Malformed CRX header: truncated field');
+  }
+
+  return fields;
+}
+
+/**
+ * Encode a protobuf varint
+ * @param {number} value
+ * @returns {Buffer}
+ */
+function encodeVarint(value) {
+  const bytes = [];
+
+  while (value > 0x7f) {
+    bytes.push((value % 0x80) | 0x80);
+    value = Math.floor(value / 0x80);
+  }
+
+  bytes.push(value);
+  return Buffer.from(bytes);
+}
+
+/**
+ * Encode a length-delimited protobuf field
+ * @param {number} field - Field number
+ * @param {Buffer} value
+ * @returns {Buffer}
+ */
+function encodeField(field, value) {
+  return Buffer.concat([encodeVarint(field * 8 + 2), encodeVarint(value.length), value]);
+}
+
+/**
+ * Decode an AsymmetricKeyProof message
+ * @param {Buffer} buffer
+ * @param {string} algorithm - 'rsa' or 'ecdsa'
+ * @returns {Object} { algorithm, publicKey, signature }
+ */
+function decodeProof(buffer, algorithm) {
+  const fields = decodeMessage(buffer);
+
+  return {
+    algorithm,
+    publicKey: fields.find(f => f.field === FIELD_PUBLIC_KEY)?.value || null,
+    signature: fields.find(f => f.field === FIELD_SIGNATURE)?.value || null
+  };
+}
+
+/**
+ * Compute a Chrome extension ID from a public key
+ * The ID is the first 16 bytes of SHA-256(SPKI DER), each nibble mapped to a-p.
+ * @param {Buffer} publicKeyDer - SubjectPublicKeyInfo DER bytes
+ * @returns {string} 32-character extension ID
+ */
+export function getExtensionId(publicKeyDer) {
+  return crxIdToExtensionId(createHash('sha256').update(publicKeyDer).digest().subarray(0, 16));
+}
+
+/**
+ * Map a 16-byte CRX ID to its a-p extension ID form
+ * @param {Buffer} crxId
+ * @returns {string}
+ */
+function crxIdToExtensionId(crxId) {
+  return [...crxId.toString('hex')]
+    .map(nibble => String.fromCharCode(97 + parseInt(nibble, 16)))
+    .join('');
+}
+
+/**
+ * Check whether a buffer starts with the CRX magic number
+ * @param {Buffer} buffer
+ * @returns {boolean}
+ */
+export function isCrx(buffer) {
+  return buffer.length >= 4 && buffer.toString('binary', 0, 4) === CRX_MAGIC;
+}
+
+/**
+ * Parse a CRX3 file
+ * @param {Buffer} buffer - Whole .crx file
+ * @returns {Object} { version, proofs, signedHeaderData, crxId, extensionId, publicKey, payload }
+ */
+export function parseCrx(buffer) {
+  if (!isCrx(buffer)) {
+    throw new Error('Not a CRX file (missing Cr24 magic number)');
+  }
+
+  if (buffer.length < 12) {
+    throw new Error('CRX file is truncated');
+  }
+
+  const version = buffer.readUInt32LE(4);
+
+  if (version !== CRX_VERSION) {
+    throw new Error(`Unsupported CRX version ${version} (only CRX3 is supported)`);
+  }
+
+  const headerSize = buffer.readUInt32LE(8);
+  const headerEnd = 12 + headerSize;
+
+  if (headerEnd > buffer.length) {
+    throw new Error('CRX file is truncated (header runs past end of file)');
+  }
+
+  const header = decodeMessage(buffer.subarray(12, headerEnd));
+
+  const proofs = [
+    ...header.filter(f => f.field === FIELD_SHA256_WITH_RSA).map(f => decodeProof(f.value, 'rsa')),
+    ...header.filter(f => f.field === FIELD_SHA256_WITH_ECDSA).map(f => decodeProof(f.value, 'ecdsa'))
+  ];
+
+  const signedHeaderData = header.find(f => f.field === FIELD_SIGNED_HEADER_DATA)?.value || null;
+  const crxId = signedHeaderData
+    ? decodeMessage(signedHeaderData).find(f => f.field === FIELD_CRX_ID)?.value || null
+    : null;
+
+  // The extension's own key is the proof whose hash matches the CRX ID
+  const ownProof = crxId
+    ? proofs.find(p => p.publicKey && createHash('sha256').update(p.publicKey).digest().subarray(0, 16).equals(crxId))
+    : null;
+
+  return {
+    version,
+    proofs,
+    signedHeaderData,
+    crxId,
+    extensionId: crxId ? crxIdToExtensionId(crxId) : null,
+    publicKey: ownProof?.publicKey || null,
+    payload: buffer.subarray(headerEnd)
+  };
+}
+
+/**
+ * Bytes covered by a CRX3 signature
+ * @param {Buffer} signedHeaderData
+ * @param {Buffer} payload - Zip archive
+ * @returns {Buffer}
+ */
+function getSignedData(signedHeaderData, payload) {
+  const lengthPrefix = Buffer.alloc(4);
+  lengthPrefix.writeUInt32LE(signedHeaderData.length);
+  return Buffer.concat([SIGNATURE_CONTEXT, lengthPrefix, signedHeaderData, payload]);
+}
+
+/**
+ * Build a CRX3 file from a zip archive
+ * @param {Buffer} zipBuffer - Zipped extension (manifest.json at the root)
+ * @param {KeyObject} privateKey - RSA or EC (P-256) private key
+ * @returns {Object} { buffer, extensionId }
+ */
+export function createCrx(zipBuffer, privateKey) {
+  const publicKey = createPublicKey(privateKey).export({ type: 'spki', format: 'der' });
+  const crxId = createHash('sha256').update(publicKey).digest().subarray(0, 16);
+  const signedHeaderData = encodeField(FIELD_CRX_ID, crxId);
+
+  let proofField;
+  if (privateKey.asymmetricKeyType === 'rsa') {
+    proofField = FIELD_SHA256_WITH_RSA;
+  } else if (privateKey.asymmetricKeyType === 'ec') {
+    proofField = FIELD_SHA256_WITH_ECDSA;
+  } else {
+    throw new Error(`CRX keys must be RSA or ECDSA, not ${privateKey.asymmetricKeyType}`);
+  }
+
+  const signature = sign('sha256', getSignedData(signedHeaderData, zipBuffer), privateKey);
+  const header = Buffer.concat([
+    encodeField(proofField, Buffer.concat([
+      encodeField(FIELD_PUBLIC_KEY, publicKey),
+      encodeField(FIELD_SIGNATURE, signature)
+    ])),
+    encodeField(FIELD_SIGNED_HEADER_DATA, signedHeaderData)
+  ]);
+
+  const prefix = Buffer.alloc(12);
+  prefix.write(CRX_MAGIC, 0, 'binary');
+  prefix.writeUInt32LE(CRX_VERSION, 4);
+  prefix.writeUInt32LE(header.length, 8);
+
+  return {
+    buffer: Buffer.concat([prefix, header, zipBuffer]),
+    extensionId: crxIdToExtensionId(crxId)
+  };
+}
+
+/**
+ * Verify the signatures of a parsed CRX3 file
+ * Every proof must verify, and one of them must belong to the key the CRX ID
+ * was derived from.
+ * @param {Object} crx - Result of parseCrx
+ * @returns {Object} { verified, errors }
+ */
+export function verifyCrx(crx) {
+  const errors = [];
+
+  if (!crx.signedHeaderData || !crx.crxId) {
+    errors.push('header has no signed CRX ID');
+  } else if (crx.crxId.length !== 16) {
+    errors.push('CRX ID has the wrong length');
+  }
+
+  if (crx.proofs.length === 0) {
+    errors.push('header has no signatures');
+  }
+
+  if (crx.crxId && !crx.publicKey) {
+    errors.push('no signature from the key matching the CRX ID');
+  }
+
+  if (errors.length > 0) {
+    return { verified: false, errors };
+  }
+
+  const signedData = getSignedData(crx.signedHeaderData, crx.payload);
+
+  crx.proofs.forEach((proof, i) => {
+    if (!proof.publicKey || !proof.signature) {
+      errors.push(`${proof.algorithm} proof ${i + 1}: missing key or signature`);
+      return;
+    }
+
+    try {
+      const key = createPublicKey({ key: proof.publicKey, format: 'der', type: 'spki' });
+      if (!verify('sha256', signedData, key, proof.signature)) {
+        errors.push(`${proof.algorithm} proof ${i + 1}: signature does not match`);
+      }
+    } catch (err) {
+      errors.push(`${proof.algorithm} proof ${i + 1}: ${err.message}`);
+    }
+  });
+
+  return { verified: errors.length === 0, errors };
+}
+
+/**
+ * Read, verify and extract a CRX3 file
+ * @param {Buffer|string} source - CRX bytes or path to a .crx file
+ * @param {string} targetPath - Directory to extract the payload to
+ * @returns {Promise<Object>} { path, extensionId, publicKey } (publicKey is base64 DER)
+ */
+export async function extractCrx(source, targetPath) {
+  const buffer = Buffer.isBuffer(source) ? source : await fs.readFile(source);
+  const crx = parseCrx(buffer);
+  const { errors } = verifyCrx(crx);
+
+  if (errors.length > 0) {
+    throw new Error(`CRX signature verification failed:\n  ${errors.join('\n  ')}`);
+  }
+
+  await extractZip(Readable.from([crx.payload]), targetPath);
+
+  return {
+    path: targetPath,
+    extensionId: crx.extensionId,
+    publicKey: crx.publicKey.toString('base64')
+  };
+}
+
+export default {
+  isCrx,
+  parseCrx,
+  verifyCrx,
+  extractCrx,
+  createCrx,
+  getExtensionId
+};
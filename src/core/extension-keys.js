@@ -0,0 +1,186 @@
+/**
+ * Extension keys - Stable extension IDs through the manifest "key"
+ *
+ * Chromium derives the ID of an unpacked extension from its manifest "key"
+ * (a base64 SubjectPublicKeyInfo) when there is one, and from the absolute
+ * path of its directory otherwise. Path-based IDs differ on every machine and
+ * for every cache directory, which loses the extension's storage and breaks
+ * native messaging allow-lists and messaging between extensions.
+ *
+ * Keys are stored per extension in ~/.ext-pack/keys/extensions/<ref>.pem,
+ * the same key `ext-pack export --format crx` signs with, so an extension
+ * keeps one ID whether it is loaded unpacked or installed from a CRX. A
+ * generated key is tied to the extension's source directory (index.json maps
+ * directories to key refs) and its ref is written into the pack, so renaming
+ * an extension keeps its ID and two extensions sharing a name never share one.
+ */
+
+import { generateKeyPairSync, createPrivateKey, createPublicKey, randomUUID } from 'crypto';
+import { existsSync, readFileSync } from 'fs';
+import { join, resolve } from 'path';
+import fs from 'fs-extra';
+import { getExtensionId } from './crx.js';
+import { getConfigDir } from '../utils/config-manager.js';
+
+const EXTENSION_KEYS_DIR = join(getConfigDir(), 'keys', 'extensions');
+
+// Maps absolute source directories to key refs
+const KEY_INDEX_FILE = 'index.json';
+
+/**
+ * Get the default directory holding per-extension keys
+ * @returns {string}
+ */
+export function getExtensionKeysDir() {
+  return EXTENSION_KEYS_DIR;
+}
+
+/**
+ * File-name-safe form of an extension name, used to name its key
+ * @param {string} name
+ * @returns {string}
+ */
+export function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'extension';
+}
+
+/**
+ * Load or create the key for an extension
+ * @param {string} keysDir - Directory of <ref>.pem keys
+ * @param {string} keyRef - Key file name without .pem (a key ref, or the slug of older packs)
+ * @returns {Promise<Object>} { privateKey, keyPath, generated }
+ */
+export async function getExtensionKey(keysDir, keyRef) {
+  const keyPath = join(keysDir, `${keyRef}.pem`);
+
+  if (existsSync(keyPath)) {
+    return { privateKey: createPrivateKey(readFileSync(keyPath)), keyPath, generated: false };
+  }
+
+  const { privateKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+  await fs.ensureDir(keysDir);
+  await fs.writeFile(keyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+
+  return { privateKey, keyPath, generated: true };
+}
+
+/**
+ * Load or create the key of an extension source directory
+ * The directory is looked up in the keys directory's index.json; a directory
+ * seen for the first time gets a new random key ref.
+ * @param {string} keysDir - Directory of <ref>.pem keys
+ * @param {string} sourcePath - Extension source directory
+ * @returns {Promise<Object>} { privateKey, keyPath, keyRef, generated }
+ */
+export async function getSourceExtensionKey(keysDir, sourcePath) {
+  const indexPath = join(keysDir, KEY_INDEX_FILE);
+  const index = existsSync(indexPath) ? await fs.readJson(indexPath) : {};
+  const source = resolve(sourcePath);
+
+  if (!index[source]) {
+    index[source] = randomUUID();
+    await fs.ensureDir(keysDir);
+    await fs.writeJson(indexPath, index, { spaces: 2 });
+  }
+
+  const keyRef = index[source];
+  return { ...await getExtensionKey(keysDir, keyRef), keyRef };
+}
+
+/**
+ * Find key files claimed by more than one extension of a pack
+ * @param {Array<Object>} entries - { name, keyPath }
+ * @returns {Array<Object>} { keyPath, names } for each key used more than once
+ */
+export function findKeyReuse(entries) {
+  const byKey = new Map();
+
+  for (const { name, keyPath } of entries) {
+    if (!keyPath) continue;
+    byKey.set(keyPath, [...(byKey.get(keyPath) || []), name]);
+  }
+
+  return [...byKey.entries()]
+    .filter(([, names]) => names.length > 1)
+    .map(([keyPath, names]) => ({ keyPath, names }));
+}
+
+/**
+ * Manifest "key" value for a private key
+ * @param {KeyObject} privateKey
+ * @returns {string} Base64 SubjectPublicKeyInfo DER
+ */
+export function getManifestKey(privateKey) {
+  return createPublicKey(privateKey).export({ type: 'spki', format: 'der' }).toString('base64');
+}
+
+/**
+ * Extension ID pinned by a manifest "key"
+ * @param {string} key - Base64 SubjectPublicKeyInfo DER
+ * @returns {string|null} Extension ID, or null if the key is not valid base64
+ */
+export function getIdFromManifestKey(key) {
+  if (typeof key !== 'string' || !/^[A-Za-z0-9+/=\s]+$/.test(key)) {
+    return null;
+  }
+
+  return getExtensionId(Buffer.from(key, 'base64'));
+}
+
+/**
+ * Extension ID Chromium gives an unpacked extension directory
+ * @param {string} dirPath - Extension directory
+ * @returns {Object} { id, stable } - stable is false when the ID comes from the path
+ */
+export function getUnpackedExtensionId(dirPath) {
+  try {
+    const manifest = JSON.parse(readFileSync(join(dirPath, 'manifest.json'), 'utf-8'));
+    const id = getIdFromManifestKey(manifest.key);
+
+    if (id) {
+      return { id, stable: true };
+    }
+  } catch {
+    // Fall through to the path-based ID
+  }
+
+  // Windows hashes the UTF-16 path, other platforms its UTF-8 bytes
+  const absolutePath = resolve(dirPath);
+  const bytes = process.platform === 'win32'
+    ? Buffer.from(absolutePath, 'utf16le')
+    : Buffer.from(absolutePath, 'utf-8');
+
+  return { id: getExtensionId(bytes), stable: false };
+}
+
+/**
+ * Find extensions that would load under the same ID
+ * The browser keeps only one of them.
+ * @param {Array<Object>} entries - { name, id }
+ * @returns {Array<Object>} { id, names } for each ID used more than once
+ */
+export function findIdCollisions(entries) {
+  const byId = new Map();
+
+  for (const { name, id } of entries) {
+    if (!id) continue;
+    byId.set(id, [...(byId.get(id) || []), name]);
+  }
+
+  return [...byId.entries()]
+    .filter(([, names]) => names.length > 1)
+    .map(([id, names]) => ({ id, names }));
+}
+
+export default {
+  getExtensionKeysDir,
+  slugify,
+  getExtensionKey,
+  getSourceExtensionKey,
+  findKeyReuse,
+  getManifestKey,
+  getIdFromManifestKey,
+  getUnpackedExtensionId,
+  findIdCollisions
+};
@@ -3,7 +3,12 @@
  */
 
 import { readdirSync, statSync, readFileSync, existsSync } from 'fs';
-import { join } from 'path';
+import { join, basename, dirname } from 'path';
+import { compareVersions } from '../utils/version.js';
+
+// Browser profiles keep store installs in Extensions/<id>/<version>_<n>
+const EXTENSION_ID_PATTERN = /^[a-p]{32}$/;
+const VERSION_DIR_PATTERN = /^(\d+(?:\.\d+){0,3})_(\d+)$/;
 
 /**
  * Resolve Chrome i18n message placeholder
@@ -61,8 +66,71 @@ function resolveI18nMessage(text, extensionPath, manifest) {
   return text;
 }
 
+/**
+ * Pick the version directory a browser profile loads for an extension ID
+ * Chrome keeps an old version next to the new one until the next restart;
+ * the highest version (then the highest _<n> suffix) is the active one.
+ * @param {Array<fs.Dirent>} entries - Entries of an Extensions/<id> directory
+ * @returns {string|null} Directory name, or null if none looks like a version
+ */
+function pickVersionDir(entries) {
+  const versions = entries
+    .filter(e => e.isDirectory())
+    .map(e => ({ name: e.name, match: e.name.match(VERSION_DIR_PATTERN) }))
+    .filter(v => v.match);
+
+  if (versions.length === 0) return null;
+
+  versions.sort((a, b) =>
+    compareVersions(b.match[1], a.match[1]) || parseInt(b.match[2], 10) - parseInt(a.match[2], 10)
+  );
+
+  return versions[0].name;
+}
+
+/**
+ * Profile directory name for an Extensions/<id> directory
+ * @param {string} idPath - Path to the Extensions/<id> directory
+ * @returns {string|null} e.g. "Default" or "Profile 1"
+ */
+function getProfileName(idPath) {
+  const extensionsDir = dirname(idPath);
+  return basename(extensionsDir) === 'Extensions' ? basename(dirname(extensionsDir)) : null;
+}
+
+/**
+ * Keep one entry per extension ID
+ * An ID found more than once (several profiles, or old and new copies) keeps
+ * its highest version; extensions without an ID are never merged.
+ * @param {Array<Object>} extensions
+ * @returns {Array<Object>}
+ */
+function dedupeById(extensions) {
+  const byId = new Map();
+  const result = [];
+
+  for (const ext of extensions) {
+    if (!ext.extensionId) {
+      result.push(ext);
+      continue;
+    }
+
+    const index = byId.get(ext.extensionId);
+    if (index === undefined) {
+      byId.set(ext.extensionId, result.length);
+      result.push(ext);
+    } else if (compareVersions(ext.version, result[index].version) > 0) {
+      result[index] = ext;
+    }
+  }
+
+  return result;
+}
+
 /**
  * Recursively scan directory for extensions
+ * Browser profile directories (Extensions/<id>/<version>_<n>) yield one entry
+ * per ID, for the active version, with extensionId and profile attached.
  * @param {string} rootPath - Directory to scan
  * @param {Object} options - Scan options
  * @returns {Array<Object>} Array of found extensions
@@ -115,6 +183,38 @@ export function scanDirectory(rootPath, options = {}) {
     try {
       const entries = readdirSync(currentPath, { withFileTypes: true });
 
+      // Extension ID directory of a browser profile: only the active version counts
+      const versionDir = EXTENSION_ID_PATTERN.test(basename(currentPath)) ? pickVersionDir(entries) : null;
+
+      if (versionDir) {
+        const versionPath = join(currentPath, versionDir);
+        const result = validateExtension(versionPath);
+
+        if (result.valid) {
+          const extension = {
+            ...result.extension,
+            extensionId: basename(currentPath),
+            profile: getProfileName(currentPath)
+          };
+          extensions.push(extension);
+
+          if (onProgress) {
+            onProgress({
+              directoriesScanned,
+              currentPath,
+              extensionsFound: extensions.length,
+              foundExtension: extension
+            });
+          }
+        } else {
+          errors.push({
+            path: versionPath,
+            error: result.error
+          });
+        }
+        return;
+      }
+
       // Check if current directory has manifest.json
       const hasManifest = entries.some(e => e.isFile() && e.name === 'manifest.json');
 
@@ -160,7 +260,7 @@ export function scanDirectory(rootPath, options = {}) {
   scan(rootPath);
 
   return {
-    extensions,
+    extensions: dedupeById(extensions),
     errors
   };
 }
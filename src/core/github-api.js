@@ -4,9 +4,11 @@
  */
 
 import fetch from 'node-fetch';
-import { pipeline } from 'stream/promises';
-import { Extract } from 'unzipper';
 import fs from 'fs-extra';
+import { join } from 'path';
+import { createHash } from 'crypto';
+import { extractZip, getExtractLimits } from './safe-extract.js';
+import { extractCrx } from './crx.js';
 
 const { ensureDirSync } = fs;
 
@@ -124,6 +126,33 @@ export function getAssetDownloadUrl(release, assetName = null) {
   return asset.browser_download_url;
 }
 
+/**
+ * Fetch a release and pick the asset an install would download
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} tag - Release tag (or 'latest')
+ * @returns {Promise<Object>} { tag, assetUrl, assetId, assetDigest, updatedAt }
+ *   assetDigest is the hex SHA-256 GitHub reports for uploaded assets, when it does
+ */
+export async function resolveRelease(owner, repo, tag) {
+  const release = tag === 'latest'
+    ? await getLatestRelease(owner, repo)
+    : await getReleaseByTag(owner, repo, tag);
+
+  const assetUrl = getAssetDownloadUrl(release);
+  const asset = release.assets.find(a => a.browser_download_url === assetUrl);
+  const digest = asset?.digest?.startsWith('sha256:') ? asset.digest.slice('sha256:'.length) : null;
+
+  return {
+    tag: release.tag_name,
+    assetUrl,
+    assetId: asset?.id || null,
+    assetDigest: digest,
+    // Source archives have no asset record; they change when the release does
+    updatedAt: asset?.updated_at || release.published_at || null
+  };
+}
+
 /**
  * Parse a repo string (e.g., "owner/repo") into parts
  */
@@ -217,18 +246,18 @@ export function analyzePermissions(manifest) {
  * @param {string} tag - Release tag (or 'latest')
  * @param {string} targetPath - Directory to extract to
  * @param {Function} onProgress - Progress callback (optional)
- * @returns {Promise<string>} Path to extracted extension
+ * @param {Object} resolved - Result of resolveRelease, to skip looking the release up again (optional)
+ * @returns {Promise<Object>} { path, tag, assetUrl, extensionId } - extraction path and what 'tag' resolved to
+ *   (extensionId is only known for signed .crx assets)
  */
-export async function downloadRelease(owner, repo, tag, targetPath, onProgress = null) {
+export async function downloadRelease(owner, repo, tag, targetPath, onProgress = null, resolved = null) {
   // Ensure target directory exists
   ensureDirSync(targetPath);
 
   // Get release info
-  const release = tag === 'latest'
-    ? await getLatestRelease(owner, repo)
-    : await getReleaseByTag(owner, repo, tag);
-
-  const downloadUrl = getAssetDownloadUrl(release);
+  const release = resolved || await resolveRelease(owner, repo, tag);
+  const downloadUrl = release.assetUrl;
+  const hash = createHash('sha256');
 
   // Download the zip file
   try {
@@ -248,24 +277,57 @@ export async function downloadRelease(owner, repo, tag, targetPath, onProgress =
     const totalSize = parseInt(response.headers.get('content-length') || '0', 10);
     let downloadedSize = 0;
 
-    // Extract zip stream directly to target directory
-    await pipeline(
-      response.body,
-      async function* (source) {
-        for await (const chunk of source) {
-          downloadedSize += chunk.length;
-          if (onProgress && totalSize > 0) {
-            const progress = (downloadedSize / totalSize) * 100;
-            onProgress(progress, downloadedSize, totalSize);
-          }
-          yield chunk;
+    const body = (async function* () {
+      for await (const chunk of response.body) {
+        downloadedSize += chunk.length;
+        hash.update(chunk);
+        if (onProgress && totalSize > 0) {
+          const progress = (downloadedSize / totalSize) * 100;
+          onProgress(progress, downloadedSize, totalSize);
         }
-      },
-      Extract({ path: targetPath })
-    );
+        yield chunk;
+      }
+    })();
+
+    if (downloadUrl.endsWith('.crx')) {
+      // CRX3 needs the whole file to verify its signature before extracting
+      const { maxUncompressedSize } = getExtractLimits();
+      const chunks = [];
+      let size = 0;
+
+      for await (const chunk of body) {
+        size += chunk.length;
+        if (size > maxUncompressedSize) {
+          throw new Error(`CRX download exceeds ${(maxUncompressedSize / 1024 / 1024).toFixed(2)} MB`);
+        }
+        chunks.push(chunk);
+      }
+
+      assertAssetDigest(release, hash);
+      const crx = await extractCrx(Buffer.concat(chunks), targetPath);
 
-    return targetPath;
+      return {
+        path: targetPath,
+        tag: release.tag,
+        assetUrl: downloadUrl,
+        extensionId: crx.extensionId
+      };
+    }
+
+    // Extract with path, size and ratio guards; partial output is removed on abort
+    await extractZip(body, targetPath);
+    assertAssetDigest(release, hash);
+
+    return {
+      path: targetPath,
+      tag: release.tag,
+      assetUrl: downloadUrl
+    };
   } catch (err) {
+    // Archive hit an extraction limit or contained an unsafe path
+    if (err.code === 'EXTRACT_ABORTED' || err.code === 'DIGEST_MISMATCH') {
+      throw err;
+    }
     // Handle network failures during download
     if (err.message.includes('fetch failed') || err.code === 'ENOTFOUND' || err.code === 'ECONNREFUSED') {
       throw new Error(`Network connection lost during download. Check your internet connection and try again.`);
@@ -278,14 +340,26 @@ export async function downloadRelease(owner, repo, tag, targetPath, onProgress =
   }
 }
 
+/**
+ * Throw if a downloaded asset does not match the digest GitHub reported
+ * @param {Object} release - Result of resolveRelease
+ * @param {Hash} hash - SHA-256 of the downloaded bytes
+ */
+function assertAssetDigest(release, hash) {
+  const actual = hash.digest('hex');
+
+  if (release.assetDigest && actual !== release.assetDigest) {
+    const error = new Error(`Downloaded asset does not match its published SHA-256 (${release.assetUrl})`);
+    error.code = 'DIGEST_MISMATCH';
+    throw error;
+  }
+}
+
 /**
  * Get extension directory from extracted release
  * (Handles case where extension is in a subdirectory)
  */
 export async function findExtensionDir(extractedPath) {
-  const fs = await import('fs-extra');
-  const { join } = await import('path');
-
   // Check if manifest.json is at root
   const rootManifest = join(extractedPath, 'manifest.json');
   if (await fs.pathExists(rootManifest)) {
@@ -0,0 +1,126 @@
+/**
+ * Load set - Compose --load-extension from every active pack
+ *
+ * Chrome only loads what the current launch names, so relaunching with a
+ * single pack's paths unloads everything else. The load set is built from all
+ * packs recorded in installed.json. Extensions are told apart by the ID the
+ * browser gives them: the manifest key when there is one, otherwise the
+ * directory path, which the content-addressed cache shares between packs
+ * shipping identical files. An extension that several packs ship under one ID
+ * is loaded once, picking the highest version (ties go to the pack name that
+ * sorts first, then the path) so the result never depends on install order.
+ */
+
+import { getInstalledPacks, getBrowserProfile } from '../utils/config-manager.js';
+import { getExtensionInfo } from './extension-scanner.js';
+import { getUnpackedExtensionId } from './extension-keys.js';
+import { relaunchBrowser } from './browser-launcher.js';
+import { compareVersions } from '../utils/version.js';
+
+/**
+ * Check whether a pack takes part in the shared browser session
+ * Packs are enabled unless `ext-pack disable` set enabled: false; isolated
+ * packs run in their own profile instead.
+ * @param {Object} pack - Installed pack entry
+ * @returns {boolean}
+ */
+export function isPackActive(pack) {
+  return pack.enabled !== false && !pack.isolated && Boolean(pack.extensions?.length);
+}
+
+/**
+ * Order two candidates for the same extension (best first)
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {number}
+ */
+function compareCandidates(a, b) {
+  return compareVersions(b.version, a.version)
+    || a.pack.localeCompare(b.pack)
+    || a.path.localeCompare(b.path);
+}
+
+/**
+ * Compute the extensions to load from all active packs
+ * @param {Array<Object>} packs - Installed pack entries (default: installed.json)
+ * @returns {Object} { paths, extensions, missing }
+ *   extensions: { id, name, version, path, pack, shadowed: [{ pack, version, path }] }
+ *   missing: extensions whose directory is gone or invalid
+ */
+export function computeLoadSet(packs = getInstalledPacks().packs || []) {
+  const candidates = new Map();
+  const missing = [];
+
+  for (const pack of packs.filter(isPackActive)) {
+    for (const ext of pack.extensions) {
+      const info = ext.path ? getExtensionInfo(ext.path) : null;
+
+      if (!info) {
+        missing.push({ pack: pack.name, name: ext.name, path: ext.path || null });
+        continue;
+      }
+
+      // The browser loads only one extension per ID; unrelated extensions may share a name
+      const { id } = getUnpackedExtensionId(ext.path);
+      const candidate = { id, name: info.name, version: info.version, path: ext.path, pack: pack.name };
+
+      if (!candidates.has(id)) {
+        candidates.set(id, []);
+      }
+      candidates.get(id).push(candidate);
+    }
+  }
+
+  const extensions = [...candidates.values()]
+    .map(list => {
+      const [chosen, ...rest] = list.sort(compareCandidates);
+
+      return {
+        ...chosen,
+        // Other packs pointing at the same directory are not shadowed
+        shadowed: rest
+          .filter(c => c.path !== chosen.path)
+          .map(({ pack, version, path }) => ({ pack, version, path }))
+      };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  return {
+    paths: extensions.map(ext => ext.path),
+    extensions,
+    missing
+  };
+}
+
+/**
+ * Relaunch the browser with the extensions of every active pack
+ * The browser opens the profile remembered for it (install --profile) unless
+ * options.profileDirectory names another.
+ * @param {Object} browser - Browser object from detector
+ * @param {Object} options - relaunchBrowser options, plus:
+ * @param {Object} options.pending - Pack entry not yet in installed.json (replaces one with the same name)
+ * @returns {Promise<Object>} Launch result plus { loadSet }
+ */
+export async function relaunchWithActivePacks(browser, options = {}) {
+  const {
+    pending = null,
+    profileDirectory = getBrowserProfile(browser.name),
+    ...launchOptions
+  } = options;
+  let packs = getInstalledPacks().packs || [];
+
+  if (pending) {
+    packs = [...packs.filter(p => p.name !== pending.name), pending];
+  }
+
+  const loadSet = computeLoadSet(packs);
+  const result = await relaunchBrowser(browser, loadSet.paths, { ...launchOptions, profileDirectory });
+
+  return { ...result, loadSet };
+}
+
+export default {
+  isPackActive,
+  computeLoadSet,
+  relaunchWithActivePacks
+};
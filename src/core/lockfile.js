@@ -0,0 +1,154 @@
+/**
+ * Lockfile - Record what a pack install resolved to (.extpack.lock)
+ *
+ * GitHub-sourced extensions can point at a moving "latest" release, so the
+ * lockfile pins the resolved release tag, asset URL and a content hash of
+ * every extracted extension. `install --frozen` downloads the recorded assets
+ * instead of resolving tags again and refuses to proceed on any difference.
+ */
+
+import { join } from 'path';
+import fs from 'fs-extra';
+import { hashDirectory } from '../utils/hash.js';
+import { getConfigDir } from '../utils/config-manager.js';
+
+export const LOCKFILE_VERSION = 1;
+
+/**
+ * File written into GitHub cache directories describing the resolved release
+ */
+export const SOURCE_FILE = '.ext-pack-source.json';
+
+/**
+ * Get lockfile path for a local pack file
+ * @param {string} packFilePath - Path to .extpack file
+ * @returns {string} e.g. my-pack.extpack.lock
+ */
+export function getLockfilePath(packFilePath) {
+  return `${packFilePath}.lock`;
+}
+
+/**
+ * Get lockfile path for a pack installed from the registry
+ * Registry packs are downloaded to a temp file, so their lock lives in ~/.ext-pack/locks/
+ * @param {string} registryId - Registry pack ID (e.g. user/pack)
+ * @returns {string}
+ */
+export function getRegistryLockfilePath(registryId) {
+  return join(getConfigDir(), 'locks', `${registryId.replace(/\//g, '-')}.extpack.lock`);
+}
+
+/**
+ * Read a lockfile
+ * @param {string} lockfilePath
+ * @returns {Promise<Object|null>} Lockfile or null if it does not exist
+ */
+export async function readLockfile(lockfilePath) {
+  if (!(await fs.pathExists(lockfilePath))) {
+    return null;
+  }
+
+  const lock = await fs.readJson(lockfilePath);
+
+  if (lock.lockfileVersion !== LOCKFILE_VERSION || !lock.extensions) {
+    throw new Error(`Unsupported lockfile format: ${lockfilePath}`);
+  }
+
+  return lock;
+}
+
+/**
+ * Write a lockfile
+ * @param {string} lockfilePath
+ * @param {Object} lock
+ * @returns {Promise<void>}
+ */
+export async function writeLockfile(lockfilePath, lock) {
+  await fs.ensureFile(lockfilePath);
+  await fs.writeJson(lockfilePath, lock, { spaces: 2 });
+}
+
+/**
+ * Build a lockfile from processPack results
+ * @param {Object} pack - Pack object
+ * @param {string} packHash - SHA-256 of the pack file
+ * @param {Object} results - processPack results
+ * @returns {Promise<Object>} Lockfile object
+ */
+export async function buildLockfile(pack, packHash, results) {
+  const extensions = {};
+
+  for (const result of results.local.concat(results.crx, results.bundled, results.github)) {
+    const ext = result.extension;
+    const entry = {
+      type: ext.type,
+      version: result.info?.version || ext.version || null,
+      integrity: `sha256-${await hashDirectory(result.path, { exclude: [SOURCE_FILE] })}`
+    };
+
+    if (result.extensionId) {
+      entry.extensionId = result.extensionId;
+    }
+
+    if (ext.type === 'github') {
+      entry.repo = ext.repo;
+      entry.releaseTag = result.source?.tag || null;
+      entry.assetUrl = result.source?.assetUrl || null;
+    }
+
+    extensions[ext.name] = entry;
+  }
+
+  return {
+    lockfileVersion: LOCKFILE_VERSION,
+    pack: {
+      name: pack.name,
+      version: pack.version || '1.0.0',
+      hash: packHash
+    },
+    extensions
+  };
+}
+
+/**
+ * Compare a fresh resolution against a lockfile
+ * @param {Object} expected - Lockfile on disk
+ * @param {Object} actual - Lockfile built from the current install
+ * @returns {Array<string>} Human-readable differences (empty if identical)
+ */
+export function compareLockfiles(expected, actual) {
+  const differences = [];
+  const fields = ['type', 'version', 'extensionId', 'repo', 'releaseTag', 'assetUrl', 'integrity'];
+
+  for (const [name, locked] of Object.entries(expected.extensions)) {
+    const resolved = actual.extensions[name];
+
+    if (!resolved) {
+      differences.push(`${name}: in lockfile but was not installed`);
+      continue;
+    }
+
+    for (const field of fields) {
+      if ((locked[field] ?? null) !== (resolved[field] ?? null)) {
+        differences.push(`${name}: ${field} ${locked[field] ?? 'none'} → ${resolved[field] ?? 'none'}`);
+      }
+    }
+  }
+
+  for (const name of Object.keys(actual.extensions)) {
+    if (!expected.extensions[name]) {
+      differences.push(`${name}: not in lockfile`);
+    }
+  }
+
+  return differences;
+}
+
+export default {
+  getLockfilePath,
+  getRegistryLockfilePath,
+  readLockfile,
+  writeLockfile,
+  buildLockfile,
+  compareLockfiles
+};
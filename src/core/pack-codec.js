@@ -3,54 +3,205 @@
  * Adapted for Node.js from extension-pack-hub
  */
 
+import { deflateSync, inflateSync } from 'zlib';
 import fs from 'fs-extra';
+import { verifyPackSignature, checkSignaturePolicy } from './pack-signer.js';
+import { findUnsafeEntries } from '../utils/safe-path.js';
+
+const HUB_URL = 'https://ifaka.github.io/extension-pack-hub';
+
+// Base for compressed and reference links. The hub page only reads legacy
+// base64, so these use a scheme that only `ext-pack install` opens.
+export const SHARE_URL = 'ext-pack://share';
+
+/**
+ * Share payloads other than legacy base64 start with this character, which
+ * never appears in base64 output, followed by a format character.
+ */
+const SHARE_PREFIX = '~';
+
+/**
+ * Share formats
+ * PACK: deflate-compressed pack JSON, base64url encoded
+ * REFERENCE: deflate-compressed { id } or { url, sha256 } pointing at a pack
+ */
+export const SHARE_FORMATS = {
+  PACK: 'z',
+  REFERENCE: 'r'
+};
+
+// Refuse to inflate share payloads beyond this size
+const MAX_DECODED_SIZE = 64 * 1024 * 1024;
+
+/**
+ * Compress and base64url-encode a JSON value with a format prefix
+ * @param {string} format - One of SHARE_FORMATS
+ * @param {*} value
+ * @returns {string}
+ */
+function encodePayload(format, value) {
+  const compressed = deflateSync(Buffer.from(JSON.stringify(value), 'utf-8'), { level: 9 });
+  return `${SHARE_PREFIX}${format}${compressed.toString('base64url')}`;
+}
 
 /**
  * Encode a pack object to a URL-safe string
+ * @param {Object} pack - Pack object
+ * @param {Object} options
+ * @param {boolean} options.legacy - Plain base64 JSON, for consumers that predate share formats
+ * @returns {string}
  */
-export function encode(pack) {
-  const json = JSON.stringify(pack);
-  // Use Node.js Buffer instead of btoa
-  const encoded = Buffer.from(json, 'utf-8').toString('base64');
-  return encoded;
+export function encode(pack, options = {}) {
+  if (options.legacy) {
+    return Buffer.from(JSON.stringify(pack), 'utf-8').toString('base64');
+  }
+
+  return encodePayload(SHARE_FORMATS.PACK, pack);
 }
 
 /**
- * Decode a URL-safe string to a pack object
+ * Encode a reference to a pack instead of the pack itself
+ * @param {Object} reference - { id } for a registry pack, or { url, sha256 } for a download
+ * @returns {string}
  */
-export function decode(encoded) {
+export function encodeReference(reference) {
+  const errors = validateReference(reference);
+  if (errors.length > 0) {
+    throw new Error(`Invalid pack reference: ${errors.join(', ')}`);
+  }
+
+  return encodePayload(SHARE_FORMATS.REFERENCE, reference);
+}
+
+/**
+ * Validate a pack reference
+ * @param {Object} reference
+ * @returns {Array<string>} Errors
+ */
+export function validateReference(reference) {
+  const errors = [];
+
+  if (!reference || typeof reference !== 'object') {
+    return ['reference must be an object'];
+  }
+
+  if (reference.id) {
+    if (!/^[\w.-]+\/[\w.-]+$/.test(reference.id)) {
+      errors.push('registry id must look like user/pack');
+    }
+  } else if (reference.url) {
+    if (!/^https:\/\//.test(reference.url)) {
+      errors.push('url must use https://');
+    }
+    if (!/^[0-9a-f]{64}$/.test(reference.sha256 || '')) {
+      errors.push('url references need the sha256 of the pack file');
+    }
+  } else {
+    errors.push('needs a registry id or a download url');
+  }
+
+  return errors;
+}
+
+/**
+ * Decode any share payload (current formats and legacy base64)
+ * @param {string} encoded
+ * @returns {Object|null} { type: 'pack', pack } or { type: 'reference', reference }
+ */
+export function decodeShare(encoded) {
   try {
-    const json = Buffer.from(encoded, 'base64').toString('utf-8');
-    return JSON.parse(json);
-  } catch (e) {
-    console.error('Failed to decode pack:', e);
+    // Chat apps and browsers sometimes percent-encode the hash
+    const payload = encoded.includes('%') ? decodeURIComponent(encoded) : encoded;
+
+    if (!payload.startsWith(SHARE_PREFIX)) {
+      // Legacy: standard base64 of the pack JSON
+      const json = Buffer.from(payload, 'base64').toString('utf-8');
+      return { type: 'pack', pack: JSON.parse(json) };
+    }
+
+    const format = payload.charAt(1);
+    const json = inflateSync(Buffer.from(payload.slice(2), 'base64url'), {
+      maxOutputLength: MAX_DECODED_SIZE
+    }).toString('utf-8');
+
+    if (format === SHARE_FORMATS.PACK) {
+      return { type: 'pack', pack: JSON.parse(json) };
+    }
+
+    if (format === SHARE_FORMATS.REFERENCE) {
+      const reference = JSON.parse(json);
+      return validateReference(reference).length === 0 ? { type: 'reference', reference } : null;
+    }
+
+    return null;
+  } catch {
     return null;
   }
 }
 
+/**
+ * Decode a URL-safe string to a pack object
+ * @param {string} encoded
+ * @returns {Object|null} Pack, or null for invalid data and references
+ */
+export function decode(encoded) {
+  const shared = decodeShare(encoded);
+  return shared?.type === 'pack' ? shared.pack : null;
+}
+
 /**
  * Generate a full shareable URL for a pack
+ * Hub URLs carry legacy base64 so the hub page can open them.
  */
-export function generateUrl(pack, baseUrl = 'https://ifaka.github.io/extension-pack-hub') {
-  const encoded = encode(pack);
+export function generateUrl(pack, baseUrl = HUB_URL) {
+  const encoded = encode(pack, { legacy: true });
   return `${baseUrl}/#${encoded}`;
 }
 
 /**
- * Extract pack data from a URL
+ * Generate a compressed share URL for a pack
+ * Shorter than the hub URL, but only `ext-pack install` opens it.
+ * @param {Object} pack
+ * @param {string} baseUrl
+ * @returns {string}
  */
-export function parseUrl(url) {
+export function generateCompactUrl(pack, baseUrl = SHARE_URL) {
+  return `${baseUrl}#${encode(pack)}`;
+}
+
+/**
+ * Generate a short shareable URL that points at a registry pack or download
+ * @param {Object} reference - { id } or { url, sha256 }
+ * @param {string} baseUrl
+ * @returns {string}
+ */
+export function generateReferenceUrl(reference, baseUrl = SHARE_URL) {
+  return `${baseUrl}#${encodeReference(reference)}`;
+}
+
+/**
+ * Extract share data from a URL
+ * @param {string} url
+ * @returns {Object|null} { type: 'pack', pack } or { type: 'reference', reference }
+ */
+export function parseShareUrl(url) {
   try {
-    const urlObj = new URL(url);
-    const hash = urlObj.hash.slice(1); // Remove the # prefix
+    const hash = new URL(url).hash.slice(1); // Remove the # prefix
     if (!hash) return null;
-    return decode(hash);
-  } catch (e) {
-    console.error('Failed to parse URL:', e);
+    return decodeShare(hash);
+  } catch {
     return null;
   }
 }
 
+/**
+ * Extract pack data from a URL
+ */
+export function parseUrl(url) {
+  const shared = parseShareUrl(url);
+  return shared?.type === 'pack' ? shared.pack : null;
+}
+
 /**
  * Create a new pack manifest
  */
@@ -80,12 +231,16 @@ export function validate(pack) {
     errors.push('Pack name is required');
   }
 
+  if (pack.isolated !== undefined && typeof pack.isolated !== 'boolean') {
+    errors.push("'isolated' must be true or false");
+  }
+
   if (!pack.extensions || !Array.isArray(pack.extensions)) {
     errors.push('Extensions array is required');
   } else {
     pack.extensions.forEach((ext, i) => {
-      if (!ext.type || !['store', 'github', 'local', 'bundled'].includes(ext.type)) {
-        errors.push(`Extension ${i}: invalid type (must be 'store', 'github', 'local', or 'bundled')`);
+      if (!ext.type || !['store', 'github', 'local', 'crx', 'bundled'].includes(ext.type)) {
+        errors.push(`Extension ${i}: invalid type (must be 'store', 'github', 'local', 'crx', or 'bundled')`);
       }
 
       if (!ext.name) {
@@ -104,13 +259,27 @@ export function validate(pack) {
         errors.push(`Extension ${i}: local path is required`);
       }
 
+      if (ext.type === 'crx' && (!ext.path || !ext.path.endsWith('.crx'))) {
+        errors.push(`Extension ${i}: crx type requires a path to a .crx file`);
+      }
+
       if (ext.type === 'bundled') {
         if (!ext.files || typeof ext.files !== 'object') {
           errors.push(`Extension ${i}: bundled type requires 'files' object`);
+        } else {
+          findUnsafeEntries(Object.keys(ext.files)).forEach(entry => {
+            errors.push(`Extension ${i}: unsafe file path "${entry.path}" (${entry.reason})`);
+          });
         }
         if (!ext.version) {
           errors.push(`Extension ${i}: bundled type requires 'version' field`);
         }
+        if (ext.integrity !== undefined && (typeof ext.integrity !== 'object' || !ext.integrity.files)) {
+          errors.push(`Extension ${i}: bundled 'integrity' must be an object with file digests`);
+        }
+        if (ext.keyRef !== undefined && !/^[A-Za-z0-9-]+$/.test(ext.keyRef)) {
+          errors.push(`Extension ${i}: bundled 'keyRef' may only contain letters, digits and dashes`);
+        }
       }
     });
   }
@@ -140,8 +309,15 @@ export function upgrade(pack) {
 
 /**
  * Read pack from file
+ * A signed pack whose signature does not verify is always rejected; unsigned or
+ * untrusted packs are rejected only when the signature policy demands it.
+ * @param {string} filePath - Path to .extpack file
+ * @param {Object} options - Read options
+ * @param {string} options.signaturePolicy - 'any' (default), 'signed' or 'trusted'
+ * @param {Function} options.onVerify - Called with the verifyPackSignature result of the pack as signed
  */
-export async function readPackFile(filePath) {
+export async function readPackFile(filePath, options = {}) {
+  const { signaturePolicy = 'any', onVerify = null } = options;
   const packData = await fs.readJson(filePath);
 
   // Validate pack
@@ -150,6 +326,17 @@ export async function readPackFile(filePath) {
     throw new Error(`Invalid pack file: ${validation.errors.join(', ')}`);
   }
 
+  // Verify signature (before any upgrade rewrites the signed fields)
+  const verification = verifyPackSignature(packData);
+  if (onVerify) {
+    onVerify(verification);
+  }
+
+  const rejection = checkSignaturePolicy(verification, signaturePolicy);
+  if (rejection) {
+    throw new Error(rejection);
+  }
+
   // Auto-upgrade v2 to v3
   if (packData.v === 2) {
     return upgrade(packData);
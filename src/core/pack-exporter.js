@@ -0,0 +1,200 @@
+/**
+ * Pack exporter - Turn a pack into standalone zip or CRX3 files
+ *
+ * Managed deployments install extensions through browser policy
+ * (ExtensionInstallForcelist) instead of --load-extension. Exported CRX files
+ * are signed with one RSA key per extension, kept in ~/.ext-pack/keys/extensions/
+ * (see extension-keys.js) so re-exports keep the same extension ID, and listed
+ * in an update.xml that can be hosted next to them. Bundles name their key with
+ * keyRef; other extensions use the slug of their name, and no key signs two
+ * extensions of one pack.
+ */
+
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { pathToFileURL } from 'url';
+import fs from 'fs-extra';
+import yazl from 'yazl';
+import { processPack } from './pack-installer.js';
+import { createCrx } from './crx.js';
+import { SOURCE_FILE } from './lockfile.js';
+import {
+  getExtensionKeysDir,
+  getExtensionKey,
+  getIdFromManifestKey,
+  slugify
+} from './extension-keys.js';
+import { listFiles } from '../utils/hash.js';
+
+export const EXPORT_FORMATS = ['zip', 'crx'];
+
+// Fixed timestamp so exporting the same files twice produces identical archives
+const ZIP_MTIME = new Date('2000-01-01T00:00:00Z');
+
+/**
+ * Zip an extension directory
+ * @param {string} dirPath - Extension directory (manifest.json at the root)
+ * @returns {Promise<Buffer>}
+ */
+export async function zipDirectory(dirPath) {
+  const zip = new yazl.ZipFile();
+
+  for (const relativePath of await listFiles(dirPath)) {
+    if (relativePath === SOURCE_FILE) continue;
+    zip.addBuffer(await fs.readFile(join(dirPath, relativePath)), relativePath, { mtime: ZIP_MTIME });
+  }
+
+  zip.end();
+
+  const chunks = [];
+  for await (const chunk of zip.outputStream) {
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Escape a value for an XML attribute
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/'/g, '&apos;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Build an update manifest (update.xml) for self-hosted CRX files
+ * @param {Array<Object>} entries - { extensionId, version, file }
+ * @param {string} baseUrl - URL the CRX files will be served from
+ * @returns {string}
+ */
+export function buildUpdateManifest(entries, baseUrl) {
+  const base = baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`;
+  const apps = entries.map(entry => [
+    `  <app appid='${escapeXml(entry.extensionId)}'>`,
+    `    <updatecheck codebase='${escapeXml(base + entry.file)}' version='${escapeXml(entry.version)}' />`,
+    '  </app>'
+  ].join('\n'));
+
+  return [
+    "<?xml version='1.0' encoding='UTF-8'?>",
+    "<gupdate xmlns='http://www.google.com/update2/response' protocol='2.0'>",
+    ...apps,
+    '</gupdate>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Export every loadable extension in a pack
+ * @param {Object} pack - Pack object
+ * @param {string} outDir - Output directory
+ * @param {Object} options - Export options
+ * @param {string} options.format - 'zip' or 'crx'
+ * @param {string} options.keysDir - Directory of per-extension CRX keys
+ * @param {string} options.baseUrl - Where the CRX files will be hosted (for update.xml)
+ * @param {Function} options.onProgress - processPack progress callback
+ * @returns {Promise<Object>} { exported, skipped, errors, updateManifestPath }
+ */
+export async function exportPack(pack, outDir, options = {}) {
+  const {
+    format = 'zip',
+    keysDir = getExtensionKeysDir(),
+    baseUrl = null,
+    onProgress = null
+  } = options;
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown export format "${format}". Use one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+
+  const results = await processPack(pack, onProgress);
+  const ready = results.local.concat(results.crx, results.bundled, results.github);
+
+  const exported = [];
+  const errors = [...results.errors];
+  const skipped = results.store.map(r => ({
+    extension: r.extension,
+    reason: 'Chrome Web Store extensions are installed from the store by ID'
+  }));
+
+  await fs.ensureDir(outDir);
+
+  // Key ref → name of the extension signed with it
+  const usedKeys = new Map();
+
+  for (const result of ready) {
+    const ext = result.extension;
+    const version = result.info?.version || ext.version || '0.0.0';
+    const slug = slugify(ext.name);
+    const keyRef = ext.keyRef || slug;
+
+    try {
+      const zipBuffer = await zipDirectory(result.path);
+
+      if (format === 'zip') {
+        const file = `${slug}-${version}.zip`;
+        await fs.writeFile(join(outDir, file), zipBuffer);
+        exported.push({ name: ext.name, version, file });
+        continue;
+      }
+
+      // Chrome refuses a CRX whose manifest pins a different key, so never
+      // generate a fresh key for such an extension
+      const manifest = await fs.readJson(join(result.path, 'manifest.json'));
+      const pinnedId = manifest.key ? getIdFromManifestKey(manifest.key) : null;
+      const keyPath = join(keysDir, `${keyRef}.pem`);
+
+      if (usedKeys.has(keyRef)) {
+        throw new Error(`${keyPath} already signs ${usedKeys.get(keyRef)} in this pack; two extensions cannot share a key`);
+      }
+
+      if (pinnedId && !existsSync(keyPath)) {
+        throw new Error(`manifest.json pins extension ID ${pinnedId}. Put its private key at ${keyPath}`);
+      }
+
+      usedKeys.set(keyRef, ext.name);
+      const key = await getExtensionKey(keysDir, keyRef);
+      const crx = createCrx(zipBuffer, key.privateKey);
+
+      if (pinnedId && pinnedId !== crx.extensionId) {
+        throw new Error(`${keyPath} does not match the key in manifest.json (ID ${pinnedId})`);
+      }
+
+      const file = `${slug}-${version}.crx`;
+      await fs.writeFile(join(outDir, file), crx.buffer);
+      exported.push({
+        name: ext.name,
+        version,
+        file,
+        extensionId: crx.extensionId,
+        keyPath: key.keyPath,
+        keyGenerated: key.generated
+      });
+    } catch (err) {
+      errors.push({ extension: ext, error: err.message });
+    }
+  }
+
+  let updateManifestPath = null;
+
+  if (format === 'crx' && exported.length > 0) {
+    updateManifestPath = join(outDir, 'update.xml');
+    await fs.writeFile(updateManifestPath, buildUpdateManifest(exported, baseUrl || pathToFileURL(outDir).href));
+  }
+
+  return { exported, skipped, errors, updateManifestPath };
+}
+
+export default {
+  EXPORT_FORMATS,
+  exportPack,
+  zipDirectory,
+  buildUpdateManifest
+};
@@ -4,22 +4,62 @@
 
 import { existsSync } from 'fs';
 import { join } from 'path';
+import fs from 'fs-extra';
 import { readPackFile } from './pack-codec.js';
 import { downloadRelease, parseRepo, findExtensionDir } from './github-api.js';
 import { getExtensionInfo } from './extension-scanner.js';
-import { getCacheDir, addInstalledPack } from '../utils/config-manager.js';
-import { relaunchBrowser } from './browser-launcher.js';
-import { extractBundledExtension } from './bundle-codec.js';
+import {
+  getConfig,
+  getCacheDir,
+  getHistoryDir,
+  getInstalledPacks,
+  addInstalledPack,
+  setActiveGeneration,
+  setPackEnabled,
+  removeInstalledPack,
+  setBrowserProfile
+} from '../utils/config-manager.js';
+import { hashFile, hashDirectory, sha256 } from '../utils/hash.js';
+import {
+  SOURCE_FILE,
+  getLockfilePath,
+  getRegistryLockfilePath,
+  readLockfile,
+  writeLockfile,
+  buildLockfile,
+  compareLockfiles
+} from './lockfile.js';
+import { relaunchWithActivePacks, computeLoadSet } from './load-set.js';
+import { launchIsolated, closeProfile, getProfileDir, getProfileProcess } from './profiles.js';
+import { getUnpackedExtensionId, findIdCollisions } from './extension-keys.js';
+import {
+  planPackPurge,
+  removeCacheEntries,
+  touchCacheEntry,
+  getBundledCacheKey,
+  getIndexedRelease,
+  getReleaseCacheKey,
+  resolveReleaseCached
+} from './cache-manager.js';
+import { extractBundledExtension, assertBundleIntegrity, computeIntegrity } from './bundle-codec.js';
+import { extractCrx } from './crx.js';
+import { compareVersions, parseVersion } from '../utils/version.js';
 
 /**
  * Process extension pack and prepare extensions for installation
  * @param {Object} pack - Pack object
  * @param {Function} onProgress - Progress callback
+ * @param {Object} options - Processing options
+ * @param {boolean} options.refresh - Re-resolve GitHub releases and re-check cached bundles
+ * @param {Object} options.locked - Lockfile extensions; GitHub extensions use the recorded release
  * @returns {Promise<Object>} Installation result
  */
-export async function processPack(pack, onProgress = null) {
+export async function processPack(pack, onProgress = null, options = {}) {
+  const { refresh = false, locked = null } = options;
+
   const results = {
     local: [],
+    crx: [],
     github: [],
     bundled: [],
     store: [],
@@ -46,13 +86,17 @@ export async function processPack(pack, onProgress = null) {
         // Verify local extension exists
         const result = await processLocalExtension(ext);
         results.local.push(result);
+      } else if (ext.type === 'crx') {
+        // Verify and unpack a local .crx file
+        const result = await processCrxExtension(ext);
+        results.crx.push(result);
       } else if (ext.type === 'bundled') {
         // Extract bundled extension
-        const result = await processBundledExtension(ext);
+        const result = await processBundledExtension(ext, { refresh });
         results.bundled.push(result);
       } else if (ext.type === 'github') {
         // Download GitHub extension
-        const result = await processGitHubExtension(ext, (progress) => {
+        const result = await processGitHubExtension(ext, { refresh, locked: locked?.[ext.name] }, (progress) => {
           if (onProgress) {
             onProgress({
               current,
@@ -108,127 +152,448 @@ async function processLocalExtension(ext) {
   };
 }
 
+/**
+ * Process a local CRX3 file
+ * The signature is verified and the payload unpacked into the cache, keyed by
+ * the file's hash so a changed .crx is never served from a stale directory.
+ * @param {Object} ext - Extension object with a .crx path
+ * @returns {Promise<Object>}
+ */
+async function processCrxExtension(ext) {
+  if (!existsSync(ext.path)) {
+    throw new Error(`CRX file not found at: ${ext.path}`);
+  }
+
+  const buffer = await fs.readFile(ext.path);
+  const cachePath = join(getCacheDir(), `crx-${sha256(buffer).slice(0, 16)}`);
+  const sourcePath = join(cachePath, SOURCE_FILE);
+
+  if (existsSync(cachePath) && existsSync(sourcePath)) {
+    const info = getExtensionInfo(cachePath);
+    if (info) {
+      const source = await fs.readJson(sourcePath);
+      await touchCacheEntry(cachePath);
+      return {
+        extension: ext,
+        path: cachePath,
+        status: 'cached',
+        info,
+        extensionId: source.extensionId
+      };
+    }
+  }
+
+  const stagingPath = getStagingPath(cachePath);
+  let crx;
+
+  try {
+    crx = await extractCrx(buffer, stagingPath);
+
+    if (!getExtensionInfo(stagingPath)) {
+      throw new Error('CRX payload is not a valid extension');
+    }
+
+    await fs.writeJson(join(stagingPath, SOURCE_FILE), { extensionId: crx.extensionId }, { spaces: 2 });
+    await swapIntoCache(stagingPath, cachePath);
+  } finally {
+    await fs.remove(stagingPath);
+  }
+
+  return {
+    extension: ext,
+    path: cachePath,
+    status: 'extracted',
+    info: getExtensionInfo(cachePath),
+    extensionId: crx.extensionId
+  };
+}
+
 /**
  * Process a bundled extension
+ * The cache entry is named after the digest of the bundled files, so packs
+ * shipping identical files share one directory and changed files always get
+ * a fresh one, whatever the name and version say.
  * @param {Object} ext - Bundled extension object
+ * @param {Object} options - Processing options
+ * @param {boolean} options.refresh - Check the cached files against the digest first
  * @returns {Promise<Object>}
  */
-async function processBundledExtension(ext) {
-  // Determine cache path for extracted extension
-  const cacheDir = getCacheDir();
-  const cacheName = `bundled-${ext.name.toLowerCase().replace(/\s+/g, '-')}-${ext.version}`;
-  const cachePath = join(cacheDir, cacheName);
+async function processBundledExtension(ext, options = {}) {
+  const { refresh = false } = options;
+
+  // Reject tampered or truncated bundles before touching the cache
+  const { legacy } = assertBundleIntegrity(ext, {
+    allowLegacy: getConfig().security?.allowLegacyBundles === true
+  });
+
+  // Bundles made before integrity blocks existed are hashed here
+  const digest = legacy ? computeIntegrity(ext.files).digest : ext.integrity.digest;
+  const cachePath = join(getCacheDir(), getBundledCacheKey(digest));
 
   // Check if already extracted
-  if (existsSync(cachePath)) {
+  if (existsSync(cachePath) && (!refresh || await hashDirectory(cachePath) === digest)) {
     const info = getExtensionInfo(cachePath);
     if (info) {
+      await touchCacheEntry(cachePath);
       return {
         extension: ext,
         path: cachePath,
         status: 'cached',
-        info
+        info,
+        legacy
       };
     }
   }
 
-  // Extract bundled extension
-  await extractBundledExtension(ext, cachePath);
+  // Extract into a staging directory, then swap it into place
+  const stagingPath = getStagingPath(cachePath);
 
-  // Validate extracted extension
-  const info = getExtensionInfo(cachePath);
-  if (!info) {
-    throw new Error('Extracted bundled extension is invalid');
+  try {
+    await extractBundledExtension(ext, stagingPath, { verified: true });
+
+    // Validate extracted extension
+    if (!getExtensionInfo(stagingPath)) {
+      throw new Error('Extracted bundled extension is invalid');
+    }
+
+    await swapIntoCache(stagingPath, cachePath);
+  } finally {
+    await fs.remove(stagingPath);
   }
 
+  const info = getExtensionInfo(cachePath);
+
   return {
     extension: ext,
     path: cachePath,
     status: 'extracted',
-    info
+    info,
+    legacy
   };
 }
 
 /**
  * Process a GitHub extension
+ * The release is resolved first and cached under a hash of the asset it points
+ * at, so a moved "latest" or a re-uploaded asset is downloaded again while the
+ * same asset is shared by every pack that uses it. Pinned tags are resolved
+ * once; "latest" is looked up again once the release TTL has passed. If GitHub
+ * cannot be reached, the last resolved download is used.
+ *
+ * With a lockfile entry nothing is resolved: the recorded asset is used, and a
+ * download whose files do not match the recorded integrity never reaches the cache.
  * @param {Object} ext - Extension object
+ * @param {Object} options - Processing options
+ * @param {boolean} options.refresh - Resolve the release again, ignoring the TTL
+ * @param {Object} options.locked - Lockfile entry for this extension
  * @param {Function} onProgress - Download progress callback
  * @returns {Promise<Object>}
  */
-async function processGitHubExtension(ext, onProgress = null) {
+async function processGitHubExtension(ext, options = {}, onProgress = null) {
+  const { refresh = false, locked = null } = options;
+
   const { owner, repo } = parseRepo(ext.repo);
   const tag = ext.releaseTag || 'latest';
-
-  // Determine cache path
   const cacheDir = getCacheDir();
-  const cacheName = `${owner}-${repo}-${tag}`;
-  const cachePath = join(cacheDir, cacheName);
 
-  // Check if already cached
-  if (existsSync(cachePath)) {
-    // Try to find extension in cache
+  const fromCache = async (cachePath) => {
     try {
       const extensionDir = await findExtensionDir(cachePath);
       const info = getExtensionInfo(extensionDir);
+      const sourcePath = join(cachePath, SOURCE_FILE);
+
+      if (!info) return null;
+      await touchCacheEntry(cachePath);
+
+      const source = existsSync(sourcePath) ? await fs.readJson(sourcePath) : null;
 
       return {
         extension: ext,
         path: extensionDir,
         status: 'cached',
-        info
+        info,
+        source,
+        extensionId: source?.extensionId
       };
     } catch (err) {
-      // Cache is invalid, re-download
+      // Cache is invalid or missing
+      return null;
     }
+  };
+
+  let release = locked ? await getLockedRelease(ext.repo, tag, locked) : null;
+
+  if (!release) {
+    try {
+      release = await resolveReleaseCached(ext.repo, tag, { refresh });
+    } catch (err) {
+      // Offline: fall back to whatever this tag resolved to last time
+      const indexed = await getIndexedRelease(ext.repo, tag);
+      const cached = indexed ? await fromCache(join(cacheDir, indexed.cacheKey)) : null;
+      if (cached) return cached;
+      throw err;
+    }
+  }
+
+  const cachePath = join(cacheDir, release.cacheKey);
+  const cached = await fromCache(cachePath);
+
+  if (cached) {
+    return cached;
   }
 
-  // Download and extract
-  await downloadRelease(owner, repo, tag, cachePath, onProgress);
+  // Download into a staging directory, then swap it into place
+  const stagingPath = getStagingPath(cachePath);
+
+  let source;
+
+  try {
+    const download = await downloadRelease(owner, repo, tag, stagingPath, onProgress, release);
+    source = {
+      repo: ext.repo,
+      tag: download.tag,
+      assetUrl: download.assetUrl,
+      // Only signed .crx assets have a verified ID
+      ...(download.extensionId ? { extensionId: download.extensionId } : {})
+    };
+
+    // Validate before replacing anything in the cache
+    const stagedDir = await findExtensionDir(stagingPath);
+    if (!getExtensionInfo(stagedDir)) {
+      throw new Error('Downloaded extension is invalid');
+    }
+
+    if (locked && `sha256-${await hashDirectory(stagedDir)}` !== locked.integrity) {
+      throw new Error(`Downloaded files of ${release.tag} do not match the lockfile integrity ${locked.integrity}`);
+    }
+
+    // Remember what the tag resolved to, for lockfiles and later cache hits
+    await fs.writeJson(join(stagingPath, SOURCE_FILE), source, { spaces: 2 });
+
+    await swapIntoCache(stagingPath, cachePath);
+  } finally {
+    await fs.remove(stagingPath);
+  }
 
   // Find extension directory in extracted files
   const extensionDir = await findExtensionDir(cachePath);
-
-  // Validate
   const info = getExtensionInfo(extensionDir);
-  if (!info) {
-    throw new Error('Downloaded extension is invalid');
-  }
 
   return {
     extension: ext,
     path: extensionDir,
     status: 'downloaded',
-    info
+    info,
+    source,
+    extensionId: source.extensionId
   };
 }
 
+/**
+ * Get the release a lockfile entry recorded, without asking GitHub
+ * The cache entry the asset was last stored under is reused when the release
+ * index still knows it.
+ * @param {string} repo - owner/repo
+ * @param {string} tag - Requested tag (or 'latest')
+ * @param {Object} locked - Lockfile entry
+ * @returns {Promise<Object|null>} { tag, assetUrl, cacheKey }, or null if nothing was recorded
+ */
+async function getLockedRelease(repo, tag, locked) {
+  if (!locked.assetUrl) {
+    return null;
+  }
+
+  for (const indexedTag of [tag, locked.releaseTag]) {
+    const indexed = indexedTag ? await getIndexedRelease(repo, indexedTag) : null;
+    if (indexed?.assetUrl === locked.assetUrl) {
+      return indexed;
+    }
+  }
+
+  return {
+    tag: locked.releaseTag,
+    assetUrl: locked.assetUrl,
+    cacheKey: getReleaseCacheKey({ assetUrl: locked.assetUrl })
+  };
+}
+
+/**
+ * Get a sibling staging path for a cache directory
+ * @param {string} cachePath - Final cache directory
+ * @returns {string}
+ */
+function getStagingPath(cachePath) {
+  return `${cachePath}.staging-${process.pid}-${Date.now()}`;
+}
+
+/**
+ * Replace a cache directory with a freshly extracted one
+ * The old directory is moved aside first so a failed rename never leaves the
+ * cache without a usable copy.
+ * @param {string} stagingPath - Freshly extracted directory
+ * @param {string} cachePath - Cache directory to replace
+ * @returns {Promise<void>}
+ */
+async function swapIntoCache(stagingPath, cachePath) {
+  const backupPath = `${cachePath}.old-${process.pid}-${Date.now()}`;
+  const hadPrevious = await fs.pathExists(cachePath);
+
+  if (hadPrevious) {
+    await fs.move(cachePath, backupPath);
+  }
+
+  try {
+    await fs.move(stagingPath, cachePath);
+  } catch (err) {
+    if (hadPrevious) {
+      await fs.move(backupPath, cachePath);
+    }
+    throw err;
+  }
+
+  if (hadPrevious) {
+    await fs.remove(backupPath);
+  }
+}
+
+/**
+ * Collect loadable extension paths from processPack results
+ * @param {Object} results - processPack results
+ * @returns {Array<string>}
+ */
+export function getExtensionPaths(results) {
+  return [
+    ...results.local.map(r => r.path),
+    ...results.crx.map(r => r.path),
+    ...results.bundled.map(r => r.path),
+    ...results.github.map(r => r.path)
+  ];
+}
+
+/**
+ * Map processPack results to installed.json extension records
+ * @param {Object} results - processPack results
+ * @param {string} status - Status to record
+ * @returns {Array<Object>}
+ */
+function toInstalledExtensions(results, status) {
+  return results.local.concat(results.crx, results.bundled, results.github).map(r => ({
+    name: r.extension.name,
+    version: r.info?.version || r.extension.version || null,
+    type: r.extension.type,
+    path: r.path,
+    ...(r.extensionId ? { extensionId: r.extensionId } : {}),
+    // What a GitHub release tag (possibly "latest") resolved to at install time
+    ...(r.extension.type === 'github' ? {
+      repo: r.extension.repo,
+      requestedTag: r.extension.releaseTag || 'latest',
+      releaseTag: r.source?.tag || null
+    } : {}),
+    status
+  }));
+}
+
+/**
+ * Work out the ID each extension of a pack gets in the browser
+ * @param {Object} results - processPack results
+ * @returns {Object} { extensionIds: [{ name, id, stable }], collisions: [{ id, names }] }
+ *   stable is false for IDs derived from the install path, which differ per machine
+ */
+function describeExtensionIds(results) {
+  const extensionIds = [
+    ...results.local.concat(results.crx, results.bundled, results.github).map(r => ({
+      name: r.extension.name,
+      ...getUnpackedExtensionId(r.path)
+    })),
+    ...results.store.map(r => ({ name: r.extension.name, id: r.extension.id, stable: true }))
+  ];
+
+  return { extensionIds, collisions: findIdCollisions(extensionIds) };
+}
+
+/**
+ * Keep a copy of an installed pack file so its generation can be re-extracted
+ * @param {string} packFilePath - Installed pack file
+ * @param {string} packHash - SHA-256 of the pack file
+ * @returns {Promise<string>} Path to archived copy
+ */
+async function archivePackFile(packFilePath, packHash) {
+  const archivedFile = join(getHistoryDir(), `${packHash}.extpack`);
+
+  if (!(await fs.pathExists(archivedFile))) {
+    await fs.copy(packFilePath, archivedFile);
+  }
+
+  return archivedFile;
+}
+
 /**
  * Install a pack
  * @param {string} packFilePath - Path to pack file
  * @param {Object} browser - Browser object
  * @param {Object} options - Installation options
+ * @param {boolean} options.relaunch - Relaunch the browser with the extensions
+ * @param {boolean} options.refresh - Re-resolve GitHub releases and re-check cached bundles (used by update)
+ * @param {string} options.registryId - Registry ID the pack was installed from
+ * @param {string} options.version - Version to record (defaults to the pack's)
+ * @param {string|false} options.lockfile - Lockfile path, or false to skip writing one
+ * @param {boolean} options.frozen - Fail if anything resolves differently from the lockfile
+ * @param {boolean} options.enabled - Record the pack as enabled (default: keep the installed entry's state, else true)
+ * @param {boolean} options.isolated - Run in its own profile (default: the pack's "isolated" field)
+ * @param {string} options.profile - Browser profile directory to open (e.g. "Profile 1"); remembered for the browser
  * @returns {Promise<Object>} Installation result
  */
 export async function installPack(packFilePath, browser, options = {}) {
   const {
     autoKill = true,
     countdown = 3,
+    relaunch = true,
+    refresh = false,
+    registryId = null,
+    version = null,
+    lockfile = null,
+    frozen = false,
+    enabled = null,
+    isolated = null,
+    profile = null,
     onProgress = null,
     onCountdown = null
   } = options;
 
-  // Read pack file
-  const pack = await readPackFile(packFilePath);
+  // Read pack file, enforcing the configured signature policy
+  const pack = await readPackFile(packFilePath, {
+    signaturePolicy: getConfig().security?.signaturePolicy
+  });
+  const runIsolated = isolated ?? pack.isolated === true;
 
-  // Process all extensions
-  const results = await processPack(pack, onProgress);
+  // Reinstalling a disabled pack keeps it disabled
+  const existing = getInstalledPacks().packs.find(p => p.name === pack.name);
+  const packEnabled = enabled ?? (existing ? existing.enabled !== false : true);
+  const packHash = await hashFile(packFilePath);
+
+  const lockfilePath = lockfile === false
+    ? null
+    : lockfile || (registryId ? getRegistryLockfilePath(registryId) : getLockfilePath(packFilePath));
+
+  const existingLock = frozen && lockfilePath ? await readLockfile(lockfilePath) : null;
+
+  if (frozen && !existingLock) {
+    return {
+      success: false,
+      reason: 'lock_missing',
+      message: `No lockfile found${lockfilePath ? ` at ${lockfilePath}` : ''}. Install once without --frozen to create it.`,
+      results: null
+    };
+  }
+
+  // Process all extensions; a frozen install downloads exactly what the lockfile recorded
+  const results = await processPack(pack, onProgress, {
+    refresh,
+    locked: existingLock?.extensions || null
+  });
 
   // Collect all extension paths
-  const extensionPaths = [
-    ...results.local.map(r => r.path),
-    ...results.bundled.map(r => r.path),
-    ...results.github.map(r => r.path)
-  ];
+  const extensionPaths = getExtensionPaths(results);
 
   if (extensionPaths.length === 0) {
     return {
@@ -239,37 +604,368 @@ export async function installPack(packFilePath, browser, options = {}) {
     };
   }
 
-  // Relaunch browser with extensions
-  const launchResult = await relaunchBrowser(browser, extensionPaths, {
+  const lock = lockfilePath ? await buildLockfile(pack, packHash, results) : null;
+
+  // Refuse to load anything that drifted from the lockfile
+  if (frozen) {
+    const differences = compareLockfiles(existingLock, lock);
+
+    if (differences.length > 0) {
+      return {
+        success: false,
+        reason: 'lock_mismatch',
+        message: `Resolved extensions differ from ${lockfilePath}:\n  ${differences.join('\n  ')}`,
+        differences,
+        results
+      };
+    }
+  }
+
+  let message = `${extensionPaths.length} extension(s) ready`;
+
+  // Relaunch browser with this pack plus every other active pack, or open the
+  // pack's own profile next to the running browser
+  if (relaunch) {
+    const launchResult = runIsolated
+      ? await launchIsolated(browser, { name: pack.name, registryId }, extensionPaths, { autoKill })
+      : await relaunchWithActivePacks(browser, {
+        pending: { name: pack.name, enabled: packEnabled, extensions: toInstalledExtensions(results, 'ready') },
+        ...(profile ? { profileDirectory: profile } : {}),
+        autoKill,
+        countdown,
+        onCountdown
+      });
+
+    if (!launchResult.success) {
+      return {
+        success: false,
+        reason: launchResult.reason,
+        message: launchResult.message,
+        results
+      };
+    }
+
+    message = launchResult.message;
+  }
+
+  // Update installation registry
+  addInstalledPack({
+    name: pack.name,
+    version: version || pack.version || '1.0.0',
+    description: pack.description,
+    registryId,
+    enabled: packEnabled,
+    isolated: runIsolated,
+    // Without a resolved browser (e.g. update --no-relaunch) keep the one recorded before
+    browser: browser?.name || existing?.browser || null,
+    file: packFilePath,
+    packHash,
+    archivedFile: await archivePackFile(packFilePath, packHash),
+    extensions: toInstalledExtensions(results, relaunch ? 'loaded' : 'ready')
+  });
+
+  // Every later relaunch of the main browser opens this profile
+  if (profile && !runIsolated && browser) {
+    setBrowserProfile(browser.name, profile);
+  }
+
+  if (lock && !frozen) {
+    await writeLockfile(lockfilePath, lock);
+  }
+
+  return {
+    success: true,
+    message,
+    results,
+    lockfilePath,
+    extensionCount: extensionPaths.length,
+    enabled: packEnabled,
+    ...describeExtensionIds(results),
+    legacyBundles: results.bundled.filter(r => r.legacy).map(r => r.extension.name),
+    profileDir: runIsolated ? getProfileDir({ name: pack.name, registryId }) : null
+  };
+}
+
+/**
+ * Make sure every extension of a generation is present in the cache
+ * Missing directories are re-extracted from the generation's archived pack file.
+ * @param {Object} generation - Generation record from installed.json
+ * @param {Function} onProgress - Progress callback
+ * @returns {Promise<Array<Object>>} Extension records with current paths
+ */
+async function materializeGeneration(generation, onProgress = null) {
+  const missing = generation.extensions.filter(ext => !ext.path || !getExtensionInfo(ext.path));
+
+  if (missing.length === 0) {
+    return generation.extensions;
+  }
+
+  if (!generation.file || !existsSync(generation.file)) {
+    throw new Error(
+      `Cached files for generation ${generation.generation} are missing ` +
+      `(${missing.map(ext => ext.name).join(', ')}) and its pack file is no longer available`
+    );
+  }
+
+  const pack = await readPackFile(generation.file);
+  const results = await processPack(pack, onProgress);
+
+  if (results.errors.length > 0) {
+    const failed = results.errors.map(err => `${err.extension.name}: ${err.error}`).join('; ');
+    throw new Error(`Failed to restore generation ${generation.generation}: ${failed}`);
+  }
+
+  return toInstalledExtensions(results, 'ready').map(({ status, ...ext }) => ext);
+}
+
+/**
+ * Roll an installed pack back to a previous generation
+ * @param {string} packName - Installed pack name
+ * @param {number} generationNumber - Generation to restore
+ * @param {Object} browser - Browser object (required when relaunching)
+ * @param {Object} options - Rollback options
+ * @returns {Promise<Object>} Rollback result
+ */
+export async function rollbackPack(packName, generationNumber, browser, options = {}) {
+  const {
+    autoKill = true,
+    countdown = 3,
+    relaunch = true,
+    onProgress = null,
+    onCountdown = null
+  } = options;
+
+  const entry = getInstalledPacks().packs.find(p => p.name === packName);
+
+  if (!entry) {
+    throw new Error(`Pack "${packName}" is not installed`);
+  }
+
+  const generation = entry.generations?.find(g => g.generation === generationNumber);
+
+  if (!generation) {
+    throw new Error(`Pack "${packName}" has no generation ${generationNumber}`);
+  }
+
+  const extensions = await materializeGeneration(generation, onProgress);
+  const pack = setActiveGeneration(packName, generationNumber, extensions);
+
+  if (!relaunch) {
+    return {
+      success: true,
+      message: `${packName} rolled back to generation ${generationNumber}`,
+      pack
+    };
+  }
+
+  const launchResult = pack.isolated
+    ? await launchIsolated(browser, pack, extensions.map(ext => ext.path), { autoKill })
+    : await relaunchWithActivePacks(browser, {
+      autoKill,
+      countdown,
+      onCountdown
+    });
+
+  return {
+    success: launchResult.success,
+    reason: launchResult.reason,
+    message: launchResult.message,
+    pack
+  };
+}
+
+/**
+ * Enable or disable an installed pack and reload the browser without it
+ * Isolated packs are not part of the main browser's load set: enabling one
+ * launches its profile window and disabling it closes that window.
+ * @param {string} packName - Installed pack name
+ * @param {boolean} enabled - New state
+ * @param {Object} browser - Browser object (required when relaunching)
+ * @param {Object} options - Relaunch options
+ * @returns {Promise<Object>} Result with { success, message, pack, loadSet }
+ */
+export async function setPackState(packName, enabled, browser, options = {}) {
+  const {
+    autoKill = true,
+    countdown = 3,
+    relaunch = true,
+    onCountdown = null
+  } = options;
+
+  const pack = setPackEnabled(packName, enabled);
+  const state = enabled ? 'enabled' : 'disabled';
+
+  if (!relaunch) {
+    return {
+      success: true,
+      message: `${packName} ${state}`,
+      pack,
+      loadSet: computeLoadSet()
+    };
+  }
+
+  if (pack.isolated) {
+    const launchResult = enabled
+      ? await launchIsolated(browser, pack, pack.extensions.map(ext => ext.path), { autoKill })
+      : await closeIsolatedWindow(browser, pack);
+
+    return {
+      success: launchResult.success,
+      reason: launchResult.reason,
+      message: launchResult.message,
+      pack,
+      loadSet: computeLoadSet()
+    };
+  }
+
+  const launchResult = await relaunchWithActivePacks(browser, {
     autoKill,
     countdown,
     onCountdown
   });
 
-  if (!launchResult.success) {
+  return {
+    success: launchResult.success,
+    reason: launchResult.reason,
+    message: launchResult.message,
+    pack,
+    loadSet: launchResult.loadSet
+  };
+}
+
+/**
+ * Close the isolated profile window of a pack
+ * @param {Object} browser - Browser object from detector
+ * @param {Object} pack - Installed pack entry
+ * @returns {Promise<Object>} Result with { success, reason, message }
+ */
+async function closeIsolatedWindow(browser, pack) {
+  const name = browser?.displayName || 'browser';
+
+  if (!await closeProfile(getProfileDir(pack))) {
     return {
       success: false,
+      reason: 'browser_running',
+      message: `Could not close the isolated ${name} window for ${pack.name}. Please close it by hand.`
+    };
+  }
+
+  return {
+    success: true,
+    message: `Isolated ${name} window for ${pack.name} closed`
+  };
+}
+
+/**
+ * Remove an installed pack, optionally deleting its cached files
+ * Cache entries still used by another pack (or one of its generations) are kept.
+ * Before deleting files of an isolated pack its profile window is closed; if
+ * that fails nothing is removed.
+ * @param {string} packName - Installed pack name
+ * @param {Object} browser - Browser object (required when relaunching)
+ * @param {Object} options - Removal options
+ * @param {boolean} options.purge - Delete the pack's directories in the download cache
+ * @param {boolean} options.deleteProfile - Delete an isolated pack's profile directory
+ * @param {boolean} options.relaunch - Relaunch the browser without the pack
+ * @param {boolean} options.autoKill - Close a running isolated window (refuse otherwise)
+ * @returns {Promise<Object>} Result with { success, message, removed, shared, profileRemoved }
+ */
+export async function removePack(packName, browser, options = {}) {
+  const {
+    purge = false,
+    deleteProfile = false,
+    relaunch = false,
+    autoKill = true,
+    countdown = 3,
+    onCountdown = null
+  } = options;
+
+  const plan = purge ? planPackPurge(packName) : { purgeable: [], shared: [] };
+  const entry = getInstalledPacks().packs.find(p => p.name === packName) || { name: packName };
+  const { isolated } = entry;
+  const profileDir = isolated ? getProfileDir(entry) : null;
+
+  // An isolated window keeps running the pack's files and profile
+  if (isolated && (purge || deleteProfile) && await getProfileProcess(profileDir)) {
+    if (!autoKill || !await closeProfile(profileDir)) {
+      throw new Error(`The isolated browser window for ${packName} is open. Close it and try again.`);
+    }
+  }
+
+  removeInstalledPack(packName);
+
+  let result = {
+    success: true,
+    message: `${packName} removed`
+  };
+
+  // Relaunch before deleting so the browser is not running the removed files.
+  // Isolated packs never were in the main browser.
+  if (relaunch && !isolated) {
+    const launchResult = await relaunchWithActivePacks(browser, {
+      autoKill,
+      countdown,
+      onCountdown
+    });
+
+    result = {
+      success: launchResult.success,
       reason: launchResult.reason,
-      message: launchResult.message,
-      results
+      message: launchResult.message
     };
   }
 
-  // Update installation registry
-  addInstalledPack({
-    name: pack.name,
-    file: packFilePath,
-    extensions: results.local.concat(results.bundled, results.github).map(r => ({
-      name: r.extension.name,
-      path: r.path,
-      status: 'loaded'
-    }))
-  });
+  const removed = await removeCacheEntries(plan.purgeable);
+
+  let profileRemoved = false;
+
+  if (deleteProfile && profileDir && await fs.pathExists(profileDir)) {
+    await fs.remove(profileDir);
+    profileRemoved = true;
+  }
 
   return {
-    success: true,
-    message: launchResult.message,
-    results,
-    extensionCount: extensionPaths.length
+    ...result,
+    removed,
+    shared: plan.shared,
+    profileRemoved
   };
 }
+
+/**
+ * Find GitHub extensions of an installed pack that have a newer release
+ * Release lookups go through the release cache, so this is cheap within the TTL.
+ * Extensions are looked up in parallel; ones that cannot be reached are skipped.
+ * @param {Object} pack - Installed pack entry
+ * @param {Object} options
+ * @param {boolean} options.refresh - Ignore the release TTL
+ * @returns {Promise<Array<Object>>} { name, repo, installedTag, latestTag, pinned }
+ */
+export async function findNewerReleases(pack, options = {}) {
+  const githubExtensions = (pack.extensions || []).filter(e => e.type === 'github' && e.repo && e.releaseTag);
+
+  const checks = await Promise.all(githubExtensions.map(async (ext) => {
+    let latest;
+
+    try {
+      latest = await resolveReleaseCached(ext.repo, 'latest', options);
+    } catch (err) {
+      // Offline or rate limited; nothing to report
+      return null;
+    }
+
+    const comparison = parseVersion(latest.tag) && parseVersion(ext.releaseTag)
+      ? compareVersions(latest.tag, ext.releaseTag)
+      : Number(latest.tag !== ext.releaseTag);
+
+    return comparison > 0 ? {
+      name: ext.name,
+      repo: ext.repo,
+      installedTag: ext.releaseTag,
+      latestTag: latest.tag,
+      pinned: ext.requestedTag !== 'latest'
+    } : null;
+  }));
+
+  return checks.filter(Boolean);
+}
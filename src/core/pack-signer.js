@@ -0,0 +1,353 @@
+/**
+ * Pack signer - Ed25519 signatures for .extpack files
+ *
+ * A signature covers the canonical JSON of the pack (sorted keys, without the
+ * signature block itself) and embeds the signer's public key. Keys live in
+ * ~/.ext-pack/keys/, keys you trust in ~/.ext-pack/trusted-keys/.
+ */
+
+import { generateKeyPairSync, createPrivateKey, createPublicKey, sign, verify } from 'crypto';
+import { existsSync, readdirSync, readFileSync } from 'fs';
+import { join, basename } from 'path';
+import fs from 'fs-extra';
+import { getConfigDir } from '../utils/config-manager.js';
+import { sha256 } from '../utils/hash.js';
+
+const KEYS_DIR = join(getConfigDir(), 'keys');
+const TRUSTED_KEYS_DIR = join(getConfigDir(), 'trusted-keys');
+
+export const DEFAULT_KEY_NAME = 'default';
+
+/**
+ * Signature policies, from most to least permissive
+ */
+export const SIGNATURE_POLICIES = ['any', 'signed', 'trusted'];
+
+/**
+ * Serialize a value as JSON with object keys sorted at every level
+ * @param {*} value
+ * @returns {string}
+ */
+export function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalize(item === undefined ? null : item)).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+/**
+ * Get the bytes a pack signature covers
+ * @param {Object} pack - Pack object
+ * @returns {Buffer}
+ */
+function getSignedPayload(pack) {
+  const { signature, ...unsigned } = pack;
+  return Buffer.from(canonicalize(unsigned), 'utf-8');
+}
+
+/**
+ * Short fingerprint of a public key
+ * @param {KeyObject} publicKey
+ * @returns {string} 16 hex characters
+ */
+export function getKeyId(publicKey) {
+  return sha256(publicKey.export({ type: 'spki', format: 'der' })).slice(0, 16);
+}
+
+/**
+ * Generate an Ed25519 key pair in ~/.ext-pack/keys/
+ * The public half is also added to the trust store, since it is your own key.
+ * @param {string} name - Key name
+ * @param {Object} options
+ * @param {boolean} options.force - Overwrite an existing key
+ * @returns {Promise<Object>} { name, keyId, privateKeyPath, publicKeyPath }
+ */
+export async function generateSigningKey(name = DEFAULT_KEY_NAME, options = {}) {
+  const privateKeyPath = join(KEYS_DIR, `${name}.pem`);
+  const publicKeyPath = join(KEYS_DIR, `${name}.pub.pem`);
+
+  if (existsSync(privateKeyPath) && !options.force) {
+    throw new Error(`Key "${name}" already exists: ${privateKeyPath}`);
+  }
+
+  const { publicKey, privateKey } = generateKeyPairSync('ed25519');
+  const publicPem = publicKey.export({ type: 'spki', format: 'pem' });
+
+  await fs.ensureDir(KEYS_DIR);
+  await fs.writeFile(privateKeyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+  await fs.writeFile(publicKeyPath, publicPem);
+  await trustKey(publicKeyPath, name);
+
+  return {
+    name,
+    keyId: getKeyId(publicKey),
+    privateKeyPath,
+    publicKeyPath
+  };
+}
+
+/**
+ * Load a private key by name or file path
+ * Names are looked up in ~/.ext-pack/keys/ only; a file is used only when
+ * keyRef is clearly a path (contains a separator or ends in .pem), so a file
+ * in the working directory can never stand in for a named key.
+ * @param {string} keyRef - Key name in ~/.ext-pack/keys/ or path to a PEM file
+ * @returns {KeyObject}
+ */
+export function loadPrivateKey(keyRef = DEFAULT_KEY_NAME) {
+  const isPath = /[\\/]/.test(keyRef) || keyRef.endsWith('.pem');
+  const keyPath = isPath ? keyRef : join(KEYS_DIR, `${keyRef}.pem`);
+
+  if (!existsSync(keyPath)) {
+    throw new Error(`Signing key not found: ${keyRef}\nCreate one with: ext-pack keys generate`);
+  }
+
+  const key = createPrivateKey(readFileSync(keyPath));
+
+  if (key.asymmetricKeyType !== 'ed25519') {
+    throw new Error(`Signing key must be Ed25519: ${keyPath}`);
+  }
+
+  return key;
+}
+
+/**
+ * Sign a pack
+ * @param {Object} pack - Pack object (any existing signature is replaced)
+ * @param {string} keyRef - Key name or PEM path
+ * @param {string} signer - Display name of the signer
+ * @returns {Object} Signed pack
+ */
+export function signPack(pack, keyRef = DEFAULT_KEY_NAME, signer = null) {
+  const privateKey = loadPrivateKey(keyRef);
+  const publicKey = createPublicKey(privateKey);
+  const { signature: _previous, ...unsigned } = pack;
+
+  return {
+    ...unsigned,
+    signature: {
+      algorithm: 'ed25519',
+      keyId: getKeyId(publicKey),
+      publicKey: publicKey.export({ type: 'spki', format: 'der' }).toString('base64'),
+      signer: signer || (typeof pack.author === 'string' ? pack.author : pack.author?.name) || null,
+      value: sign(null, getSignedPayload(unsigned), privateKey).toString('base64')
+    }
+  };
+}
+
+/**
+ * List keys in the trust store
+ * @returns {Array<Object>} { name, keyId, path }
+ */
+export function listTrustedKeys() {
+  if (!existsSync(TRUSTED_KEYS_DIR)) {
+    return [];
+  }
+
+  return readdirSync(TRUSTED_KEYS_DIR)
+    .filter(file => file.endsWith('.pem'))
+    .map(file => {
+      const path = join(TRUSTED_KEYS_DIR, file);
+      try {
+        return { name: basename(file, '.pem'), keyId: getKeyId(createPublicKey(readFileSync(path))), path };
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * List signing keys you own
+ * @returns {Array<Object>} { name, keyId, path }
+ */
+export function listSigningKeys() {
+  if (!existsSync(KEYS_DIR)) {
+    return [];
+  }
+
+  return readdirSync(KEYS_DIR)
+    .filter(file => file.endsWith('.pub.pem'))
+    .map(file => {
+      const path = join(KEYS_DIR, file);
+      return { name: basename(file, '.pub.pem'), keyId: getKeyId(createPublicKey(readFileSync(path))), path };
+    });
+}
+
+/**
+ * Add a public key to the trust store
+ * A pack's embedded key is only taken if the pack's signature verifies under it.
+ * @param {string} source - Path to a public key PEM, or a signed .extpack file
+ * @param {string} name - Name to store it under
+ * @returns {Promise<Object>} { name, keyId, path }
+ */
+export async function trustKey(source, name = null) {
+  let publicKey;
+  let defaultName;
+
+  if (source.endsWith('.extpack')) {
+    const pack = await fs.readJson(source);
+    if (!pack.signature?.publicKey) {
+      throw new Error(`Pack is not signed: ${source}`);
+    }
+
+    // Only trust a key that actually signed this pack
+    const verification = verifyPackSignature(pack);
+    if (!verification.valid) {
+      throw new Error(
+        `Pack signature is invalid${verification.error ? ` (${verification.error})` : ''}, not trusting its key: ${source}`
+      );
+    }
+    publicKey = createPublicKey({ key: Buffer.from(pack.signature.publicKey, 'base64'), format: 'der', type: 'spki' });
+    defaultName = pack.signature.signer || pack.signature.keyId;
+  } else {
+    publicKey = createPublicKey(readFileSync(source));
+    defaultName = basename(source).replace(/(\.pub)?\.pem$/, '');
+  }
+
+  if (publicKey.asymmetricKeyType !== 'ed25519') {
+    throw new Error('Only Ed25519 public keys can be trusted');
+  }
+
+  const keyName = (name || defaultName).replace(/[^\w.-]+/g, '-');
+  const path = join(TRUSTED_KEYS_DIR, `${keyName}.pem`);
+
+  await fs.ensureDir(TRUSTED_KEYS_DIR);
+  await fs.writeFile(path, publicKey.export({ type: 'spki', format: 'pem' }));
+
+  return { name: keyName, keyId: getKeyId(publicKey), path };
+}
+
+/**
+ * Remove a key from the trust store
+ * @param {string} nameOrKeyId
+ * @returns {Promise<boolean>} True if a key was removed
+ */
+export async function untrustKey(nameOrKeyId) {
+  const match = listTrustedKeys().find(k => k.name === nameOrKeyId || k.keyId === nameOrKeyId);
+
+  if (!match) {
+    return false;
+  }
+
+  await fs.remove(match.path);
+  return true;
+}
+
+/**
+ * Verify a pack's signature
+ * @param {Object} pack - Pack object
+ * @returns {Object} { signed, valid, trusted, keyId, signer, trustedAs }
+ */
+export function verifyPackSignature(pack) {
+  const signature = pack.signature;
+
+  if (!signature) {
+    return { signed: false, valid: false, trusted: false };
+  }
+
+  const result = {
+    signed: true,
+    valid: false,
+    trusted: false,
+    keyId: signature.keyId || null,
+    signer: signature.signer || null,
+    trustedAs: null
+  };
+
+  try {
+    if (signature.algorithm !== 'ed25519') {
+      return { ...result, error: `unsupported algorithm ${signature.algorithm}` };
+    }
+
+    const publicKey = createPublicKey({
+      key: Buffer.from(signature.publicKey, 'base64'),
+      format: 'der',
+      type: 'spki'
+    });
+
+    const keyId = getKeyId(publicKey);
+    if (signature.keyId && signature.keyId !== keyId) {
+      return { ...result, error: 'key ID does not match embedded public key' };
+    }
+
+    result.keyId = keyId;
+    result.valid = verify(null, getSignedPayload(pack), publicKey, Buffer.from(signature.value, 'base64'));
+
+    const trustedKey = listTrustedKeys().find(k => k.keyId === keyId);
+    result.trusted = result.valid && Boolean(trustedKey);
+    result.trustedAs = trustedKey?.name || null;
+  } catch (err) {
+    result.error = err.message;
+  }
+
+  return result;
+}
+
+/**
+ * Check a verification result against a signature policy
+ * @param {Object} verification - Result of verifyPackSignature
+ * @param {string} policy - 'any', 'signed' or 'trusted'
+ * @returns {string|null} Reason the pack is rejected, or null if allowed
+ */
+export function checkSignaturePolicy(verification, policy = 'any') {
+  if (verification.signed && !verification.valid) {
+    return `Pack signature is invalid${verification.error ? ` (${verification.error})` : ''} — the pack was modified after signing`;
+  }
+
+  if (policy === 'signed' && !verification.signed) {
+    return 'Pack is not signed and the signature policy requires signed packs';
+  }
+
+  if (policy === 'trusted' && !verification.trusted) {
+    return verification.signed
+      ? `Pack is signed by an untrusted key (${verification.keyId}). Trust it with: ext-pack keys trust <pack>`
+      : 'Pack is not signed and the signature policy requires trusted signatures';
+  }
+
+  return null;
+}
+
+/**
+ * Describe a verification result for display
+ * @param {Object} verification - Result of verifyPackSignature
+ * @returns {string}
+ */
+export function describeSignature(verification) {
+  if (!verification.signed) {
+    return 'unsigned';
+  }
+
+  if (!verification.valid) {
+    return 'INVALID signature';
+  }
+
+  const signer = verification.signer || verification.keyId;
+
+  return verification.trusted
+    ? `signed by ${signer} (trusted${verification.trustedAs && verification.trustedAs !== signer ? ` as ${verification.trustedAs}` : ''})`
+    : `signed by ${signer} (untrusted key ${verification.keyId})`;
+}
+
+export default {
+  canonicalize,
+  generateSigningKey,
+  loadPrivateKey,
+  signPack,
+  verifyPackSignature,
+  checkSignaturePolicy,
+  describeSignature,
+  trustKey,
+  untrustKey,
+  listTrustedKeys,
+  listSigningKeys
+};
@@ -0,0 +1,211 @@
+/**
+ * Profiles - Isolated browser profiles for packs that should not touch the main one
+ *
+ * An isolated pack runs in its own user data directory under
+ * ~/.ext-pack/profiles/<pack-id>. Chromium allows one process per user data
+ * directory, so an isolated window opens next to the user's running browser
+ * without closing it, and only an earlier window of the same profile has to be
+ * restarted to pick up new extensions.
+ */
+
+import { join } from 'path';
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs-extra';
+import { getProfilesDir, getInstalledPacks } from '../utils/config-manager.js';
+import { launchBrowser, getUserDataDirProcess } from './browser-launcher.js';
+import { getPlatform } from '../utils/browser-detector.js';
+
+const execAsync = promisify(exec);
+
+/**
+ * Profile directory name for a pack
+ * @param {Object} pack - Pack or installed pack entry
+ * @returns {string}
+ */
+export function getProfileId(pack) {
+  return (pack.registryId || pack.name)
+    .toLowerCase()
+    .replace(/[^a-z0-9._-]+/g, '-')
+    .replace(/^[-.]+|-+$/g, '') || 'pack';
+}
+
+/**
+ * Profile directory for a pack
+ * @param {Object} pack - Pack or installed pack entry
+ * @returns {string}
+ */
+export function getProfileDir(pack) {
+  return join(getProfilesDir(), getProfileId(pack));
+}
+
+/**
+ * Find the browser process using a profile directory
+ * @param {string} profileDir
+ * @returns {Promise<number|null>} Process ID, or null if the profile is not in use
+ */
+export async function getProfileProcess(profileDir) {
+  return getUserDataDirProcess(profileDir);
+}
+
+/**
+ * Close the browser window running a profile
+ * @param {string} profileDir
+ * @returns {Promise<boolean>} True if the profile is no longer in use
+ */
+export async function closeProfile(profileDir) {
+  const pid = await getProfileProcess(profileDir);
+
+  if (!pid) {
+    return true;
+  }
+
+  try {
+    if (getPlatform() === 'win32') {
+      await execAsync(`taskkill /T /PID ${pid}`);
+    } else {
+      process.kill(pid, 'SIGTERM');
+    }
+  } catch (err) {
+    // The window may have closed on its own since it was found
+    const errorText = (err.code + ' ' + err.message + ' ' + (err.stderr || '')).toLowerCase();
+
+    if (!errorText.includes('esrch') &&
+        !errorText.includes('no such process') &&
+        !errorText.includes('not found')) {
+      console.error('Error closing profile window:', err);
+      return false;
+    }
+  }
+
+  // Wait for the profile lock to be released
+  for (let i = 0; i < 20; i++) {
+    if (!await getProfileProcess(profileDir)) {
+      return true;
+    }
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+
+  return false;
+}
+
+/**
+ * Launch a pack in its isolated profile
+ * The main browser is left alone; only a window already running this profile
+ * is closed so the new extension list takes effect.
+ * @param {Object} browser - Browser object from detector
+ * @param {Object} pack - Pack or installed pack entry
+ * @param {Array<string>} extensionPaths - Extension directories to load
+ * @param {Object} options
+ * @param {boolean} options.autoKill - Close a running window of this profile
+ * @returns {Promise<Object>} Launch result with { profileDir }
+ */
+export async function launchIsolated(browser, pack, extensionPaths, options = {}) {
+  const { autoKill = true } = options;
+  const profileDir = getProfileDir(pack);
+
+  await fs.ensureDir(profileDir);
+
+  const pid = await getProfileProcess(profileDir);
+
+  if (pid) {
+    if (!autoKill) {
+      return {
+        success: false,
+        reason: 'browser_running',
+        message: `The isolated ${browser.displayName} window for ${pack.name} is open. Please close it first.`,
+        profileDir
+      };
+    }
+
+    if (!await closeProfile(profileDir)) {
+      return {
+        success: false,
+        reason: 'browser_running',
+        message: `Could not close the isolated ${browser.displayName} window for ${pack.name}. Please close it first.`,
+        profileDir
+      };
+    }
+  }
+
+  try {
+    await launchBrowser(browser.path, extensionPaths, {
+      userDataDir: profileDir,
+      additionalArgs: ['--no-first-run', '--no-default-browser-check']
+    });
+
+    return {
+      success: true,
+      message: `${browser.displayName} launched in an isolated profile with ${extensionPaths.length} extension(s)`,
+      profileDir
+    };
+  } catch (err) {
+    return {
+      success: false,
+      reason: 'launch_failed',
+      error: err,
+      message: `Failed to launch ${browser.displayName}: ${err.message}`,
+      profileDir
+    };
+  }
+}
+
+/**
+ * List isolated profile directories
+ * @returns {Promise<Array<Object>>} { id, path, pack, running }
+ *   pack is the installed pack using the profile, or null if it was removed
+ */
+export async function listProfiles() {
+  const profilesDir = getProfilesDir();
+
+  if (!await fs.pathExists(profilesDir)) {
+    return [];
+  }
+
+  const packs = getInstalledPacks().packs || [];
+  const profiles = [];
+
+  for (const dirent of await fs.readdir(profilesDir, { withFileTypes: true })) {
+    if (!dirent.isDirectory()) continue;
+
+    const path = join(profilesDir, dirent.name);
+
+    profiles.push({
+      id: dirent.name,
+      path,
+      pack: packs.find(p => p.isolated && getProfileId(p) === dirent.name)?.name || null,
+      running: Boolean(await getProfileProcess(path))
+    });
+  }
+
+  return profiles.sort((a, b) => a.id.localeCompare(b.id));
+}
+
+/**
+ * Delete an isolated profile directory
+ * @param {string} id - Profile ID (directory name)
+ * @returns {Promise<void>}
+ */
+export async function removeProfile(id) {
+  const profile = (await listProfiles()).find(p => p.id === id);
+
+  if (!profile) {
+    throw new Error(`Profile "${id}" not found`);
+  }
+
+  if (profile.running) {
+    throw new Error(`Profile "${id}" is in use. Close its browser window first.`);
+  }
+
+  await fs.remove(profile.path);
+}
+
+export default {
+  getProfileId,
+  getProfileDir,
+  getProfileProcess,
+  closeProfile,
+  launchIsolated,
+  listProfiles,
+  removeProfile
+};
@@ -3,6 +3,7 @@
  */
 
 import { colors } from '../ui/helpers.js';
+import { compareVersions, isOnChannel } from '../utils/version.js';
 
 const REGISTRY_URL = 'https://raw.githubusercontent.com/IFAKA/ext-pack-registry/main/registry.json';
 const CACHE_TTL = 3600000; // 1 hour
@@ -112,6 +113,41 @@ export async function getPackInfo(packId) {
   return registry.packs[packId] || null;
 }
 
+/**
+ * Compare an installed version against a registry entry
+ * @param {string} installedVersion - Currently installed version
+ * @param {Object} registryInfo - Registry pack entry
+ * @param {Object} options - Check options
+ * @param {boolean} options.allowDowngrade - Treat an older registry version as available
+ * @param {string} options.channel - Release channel ("stable", "beta", "pre", ...)
+ * @returns {Object} { current, latest, status, available }
+ *   status is one of: 'update', 'downgrade', 'current', 'off-channel'
+ */
+export function checkForUpdate(installedVersion, registryInfo, options = {}) {
+  const { allowDowngrade = false, channel = 'stable' } = options;
+
+  const current = installedVersion || '1.0.0';
+  const latest = registryInfo?.version || '1.0.0';
+  const comparison = compareVersions(latest, current);
+
+  let status = 'current';
+
+  if (comparison !== 0 && !isOnChannel(latest, channel)) {
+    status = 'off-channel';
+  } else if (comparison > 0) {
+    status = 'update';
+  } else if (comparison < 0) {
+    status = 'downgrade';
+  }
+
+  return {
+    current,
+    latest,
+    status,
+    available: status === 'update' || (status === 'downgrade' && allowDowngrade)
+  };
+}
+
 /**
  * Get all available tags
  * @returns {Promise<Array>} List of unique tags
@@ -139,25 +175,14 @@ export async function getPopularPacks(limit = 20) {
 }
 
 /**
- * Download pack file from registry
- * @param {string} packId - Pack identifier
- * @param {string} targetPath - Where to save the pack
+ * Download a file with progress reporting
+ * @param {string} url - URL to download
+ * @param {string} targetPath - Where to save the file
  * @param {Function} onProgress - Progress callback
  * @returns {Promise<void>}
  */
-export async function downloadPack(packId, targetPath, onProgress = null) {
-  const packInfo = await getPackInfo(packId);
-
-  if (!packInfo) {
-    throw new Error(`Pack not found in registry: ${packId}`);
-  }
-
-  if (!packInfo.url) {
-    throw new Error(`Pack ${packId} has no download URL`);
-  }
-
-  // Download file
-  const response = await fetch(packInfo.url);
+export async function downloadFile(url, targetPath, onProgress = null) {
+  const response = await fetch(url);
 
   if (!response.ok) {
     throw new Error(`Download failed: ${response.status} ${response.statusText}`);
@@ -204,6 +229,27 @@ export async function downloadPack(packId, targetPath, onProgress = null) {
   await fs.writeFile(targetPath, Buffer.from(blob));
 }
 
+/**
+ * Download pack file from registry
+ * @param {string} packId - Pack identifier
+ * @param {string} targetPath - Where to save the pack
+ * @param {Function} onProgress - Progress callback
+ * @returns {Promise<void>}
+ */
+export async function downloadPack(packId, targetPath, onProgress = null) {
+  const packInfo = await getPackInfo(packId);
+
+  if (!packInfo) {
+    throw new Error(`Pack not found in registry: ${packId}`);
+  }
+
+  if (!packInfo.url) {
+    throw new Error(`Pack ${packId} has no download URL`);
+  }
+
+  await downloadFile(packInfo.url, targetPath, onProgress);
+}
+
 /**
  * Check if registry is accessible
  * @returns {Promise<boolean>} True if registry is accessible
@@ -221,8 +267,10 @@ export default {
   getRegistryIndex,
   searchPacks,
   getPackInfo,
+  checkForUpdate,
   getAllTags,
   getPopularPacks,
+  downloadFile,
   downloadPack,
   isRegistryAccessible
 };
@@ -0,0 +1,180 @@
+/**
+ * Safe extract - Guarded zip extraction for downloaded release archives
+ *
+ * Entries are streamed one at a time; every path is validated before it is
+ * written, and extraction aborts as soon as the archive exceeds the entry
+ * count, total uncompressed size or compression ratio limits. Whatever was
+ * written before the abort is removed again.
+ */
+
+import { pipeline } from 'stream/promises';
+import { Transform } from 'stream';
+import { dirname, join } from 'path';
+import { Parse } from 'unzipper';
+import fs from 'fs-extra';
+import { checkEntryPath, resolveInside, assertNoSymlinks } from '../utils/safe-path.js';
+import { getConfig } from '../utils/config-manager.js';
+
+/**
+ * Default extraction limits (override in config.json under security.extractLimits)
+ */
+export const DEFAULT_EXTRACT_LIMITS = {
+  maxUncompressedSize: 512 * 1024 * 1024,
+  maxEntries: 10000,
+  maxCompressionRatio: 100
+};
+
+// Small archives of highly compressible text are normal; only enforce the
+// ratio once this much has been written
+const RATIO_CHECK_THRESHOLD = 1024 * 1024;
+
+/**
+ * Get extraction limits from config, falling back to defaults
+ * @returns {Object} { maxUncompressedSize, maxEntries, maxCompressionRatio }
+ */
+export function getExtractLimits() {
+  const configured = getConfig().security?.extractLimits || {};
+  return { ...DEFAULT_EXTRACT_LIMITS, ...configured };
+}
+
+/**
+ * Create an extraction error that callers can tell apart from network errors
+ * @param {string} message
+ * @returns {Error}
+ */
+function abortError(message) {
+  const error = new Error(`Archive rejected: ${message}`);
+  error.code = 'EXTRACT_ABORTED';
+  return error;
+}
+
+/**
+ * Extract a zip stream into a directory with path and size guards
+ * @param {ReadableStream|AsyncIterable} source - Zip data
+ * @param {string} targetPath - Directory to extract to
+ * @param {Object} limits - Overrides for getExtractLimits()
+ * @returns {Promise<Object>} { entries, uncompressedSize, compressedSize }
+ */
+export async function extractZip(source, targetPath, limits = {}) {
+  const { maxUncompressedSize, maxEntries, maxCompressionRatio } = { ...getExtractLimits(), ...limits };
+
+  const targetExisted = await fs.pathExists(targetPath);
+  const existingEntries = targetExisted ? new Set(await fs.readdir(targetPath)) : new Set();
+  await fs.ensureDir(targetPath);
+
+  let compressedSize = 0;
+  let uncompressedSize = 0;
+  let entries = 0;
+
+  const checkRatio = () => {
+    if (uncompressedSize > RATIO_CHECK_THRESHOLD && uncompressedSize / Math.max(compressedSize, 1) > maxCompressionRatio) {
+      throw abortError(`compression ratio exceeds ${maxCompressionRatio}:1`);
+    }
+  };
+
+  const parser = Parse({ forceStream: true });
+
+  const feeding = pipeline(
+    source,
+    async function* (chunks) {
+      for await (const chunk of chunks) {
+        compressedSize += chunk.length;
+        yield chunk;
+      }
+    },
+    parser
+  );
+
+  try {
+    for await (const entry of parser) {
+      entries++;
+
+      if (entries > maxEntries) {
+        entry.autodrain();
+        throw abortError(`more than ${maxEntries} entries`);
+      }
+
+      const reason = checkEntryPath(entry.path);
+      if (reason) {
+        entry.autodrain();
+        throw abortError(`unsafe entry path "${entry.path}" (${reason})`);
+      }
+
+      const entryPath = resolveInside(targetPath, entry.path);
+      await assertNoSymlinks(targetPath, entryPath);
+
+      if (entry.type === 'Directory') {
+        await fs.ensureDir(entryPath);
+        entry.autodrain();
+        continue;
+      }
+
+      // Reject early when the header already admits to being too large
+      const declaredSize = entry.vars?.uncompressedSize || 0;
+      if (uncompressedSize + declaredSize > maxUncompressedSize) {
+        entry.autodrain();
+        throw abortError(`uncompressed size exceeds ${(maxUncompressedSize / 1024 / 1024).toFixed(2)} MB`);
+      }
+
+      await fs.ensureDir(dirname(entryPath));
+
+      // Headers can lie, so count the bytes actually inflated
+      const guard = new Transform({
+        transform(chunk, encoding, callback) {
+          uncompressedSize += chunk.length;
+
+          if (uncompressedSize > maxUncompressedSize) {
+            callback(abortError(`uncompressed size exceeds ${(maxUncompressedSize / 1024 / 1024).toFixed(2)} MB`));
+            return;
+          }
+
+          try {
+            checkRatio();
+          } catch (err) {
+            callback(err);
+            return;
+          }
+
+          callback(null, chunk);
+        }
+      });
+
+      await pipeline(entry, guard, fs.createWriteStream(entryPath));
+    }
+
+    await feeding;
+  } catch (err) {
+    parser.destroy();
+    await feeding.catch(() => {});
+    await cleanup(targetPath, targetExisted, existingEntries);
+    throw err;
+  }
+
+  return { entries, uncompressedSize, compressedSize };
+}
+
+/**
+ * Remove what an aborted extraction wrote
+ * @param {string} targetPath
+ * @param {boolean} targetExisted - Whether the directory existed beforehand
+ * @param {Set<string>} existingEntries - Top-level names present beforehand
+ * @returns {Promise<void>}
+ */
+async function cleanup(targetPath, targetExisted, existingEntries) {
+  if (!targetExisted) {
+    await fs.remove(targetPath);
+    return;
+  }
+
+  for (const name of await fs.readdir(targetPath)) {
+    if (!existingEntries.has(name)) {
+      await fs.remove(join(targetPath, name));
+    }
+  }
+}
+
+export default {
+  DEFAULT_EXTRACT_LIMITS,
+  getExtractLimits,
+  extractZip
+};
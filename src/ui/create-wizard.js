@@ -8,19 +8,31 @@ import { homedir } from 'os';
 import { execSync } from 'child_process';
 import inquirer from 'inquirer';
 import ora from 'ora';
-import { basename, resolve, join } from 'path';
+import { basename, dirname, resolve, join } from 'path';
 import { colors, successBox, errorBox, clearScreen, pause, browseDirectory } from './helpers.js';
 import { scanDirectory } from '../core/extension-scanner.js';
 import { createPack, writePackFile } from '../core/pack-codec.js';
-import { getPlatform } from '../utils/browser-detector.js';
-import { bundleExtension, calculateBundleSize } from '../core/bundle-codec.js';
+import { signPack } from '../core/pack-signer.js';
+import { getUserDataDirs } from '../utils/browser-detector.js';
+import {
+  isProfileDir,
+  listBrowserProfiles,
+  findBrowserProfile,
+  formatProfileLabel,
+  readProfileExtensions
+} from '../core/browser-profile.js';
+import { bundleExtension, calculateBundleSize, getBundledExtensionId } from '../core/bundle-codec.js';
+import { findIdCollisions, findKeyReuse } from '../core/extension-keys.js';
 
 /**
  * Run the create pack wizard with smart defaults
  * @param {Object} options - Command options
  * @param {string} options.name - Pack name (optional)
  * @param {string} options.dir - Directory to scan (optional)
+ * @param {string} options.profile - Browser profile to read, by name or directory (optional)
+ * @param {boolean} options.generateKeys - Add a manifest key to extensions without one (optional)
  * @param {string} options.output - Output file path (optional)
+ * @param {boolean|string} options.sign - Sign with default key (true) or named key/PEM path
  * @returns {Promise<string|null>} Path to created pack file or null if cancelled
  */
 export async function runCreateWizard(options = {}) {
@@ -34,10 +46,10 @@ export async function runCreateWizard(options = {}) {
   let scanDir;
   let packName;
 
-  // 1. Try current directory first if no dir specified
+  // 1. Try current directory first if no dir or browser profile specified
   if (!options.dir) {
     const cwd = process.cwd();
-    const cwdScan = scanDirectory(cwd, { maxDepth: 2 });
+    const cwdScan = options.profile ? { extensions: [] } : scanDirectory(cwd, { maxDepth: 2 });
 
     if (cwdScan.extensions.length > 0) {
       // Found extensions in current directory - use it!
@@ -46,14 +58,15 @@ export async function runCreateWizard(options = {}) {
       detectSpinner.succeed(`Found ${cwdScan.extensions.length} extension(s) in current directory`);
     } else {
       // Not in current dir, check common browser locations
-      const candidates = detectExtensionDirs();
+      const candidates = detectExtensionDirs(options.profile);
       detectSpinner.stop();
 
       if (candidates.length === 0) {
-        console.log(errorBox(
-          'No extensions found.\n\n' +
-          colors.muted('Run this command from a directory containing extensions,\n') +
-          colors.muted('or specify a directory with: ext-pack create -d <path>')
+        console.log(errorBox(options.profile
+          ? `No browser profile "${options.profile}" with extensions found.`
+          : 'No extensions found.\n\n' +
+            colors.muted('Run this command from a directory containing extensions,\n') +
+            colors.muted('or specify a directory with: ext-pack create -d <path>')
         ));
         await pause();
         return null;
@@ -74,14 +87,17 @@ export async function runCreateWizard(options = {}) {
         short: 'Custom'
       });
 
-      const { selectedDir } = await inquirer.prompt([
-        {
-          type: 'list',
-          name: 'selectedDir',
-          message: 'Where to scan for extensions:',
-          choices
-        }
-      ]);
+      // A profile named on the command line that only one browser has needs no prompt
+      const { selectedDir } = options.profile && candidates.length === 1
+        ? { selectedDir: candidates[0].path }
+        : await inquirer.prompt([
+          {
+            type: 'list',
+            name: 'selectedDir',
+            message: 'Where to scan for extensions:',
+            choices
+          }
+        ]);
 
       if (selectedDir === '__custom__') {
         // Use fuzzy finder to browse directories
@@ -94,7 +110,7 @@ export async function runCreateWizard(options = {}) {
       } else {
         scanDir = selectedDir;
         const selected = candidates.find(c => c.path === selectedDir);
-        packName = options.name || selected.label.toLowerCase() + '-extensions';
+        packName = options.name || selected.packName;
       }
     }
   } else {
@@ -108,15 +124,36 @@ export async function runCreateWizard(options = {}) {
   const spinner = ora('Scanning for extensions...').start();
   const scanPath = resolve(scanDir);
 
-  const { extensions, errors } = scanDirectory(scanPath, {
-    onProgress: (progress) => {
-      if (progress.extensionsFound > 0) {
-        spinner.text = `Scanning... (${progress.extensionsFound} found)`;
-      }
+  let extensions;
+  let errors = [];
+
+  // A profile or its Extensions folder holds browser installs, not source directories
+  const scannedProfile = isProfileDir(scanPath) || isProfileDir(dirname(scanPath));
+
+  if (isProfileDir(scanPath)) {
+    // Browser profile: list what the browser has installed, not what is on disk
+    try {
+      const installed = readProfileExtensions(scanPath);
+      const disabled = installed.filter(ext => !ext.enabled).length;
+
+      extensions = installed.filter(ext => ext.enabled).map(toPackCandidate);
+      spinner.succeed(`Found ${extensions.length} enabled extension(s)${disabled > 0 ? colors.muted(` (${disabled} disabled skipped)`) : ''}`);
+    } catch (err) {
+      extensions = [];
+      errors = [{ path: scanPath, error: err.message }];
+      spinner.fail('Failed to read browser profile');
     }
-  });
+  } else {
+    ({ extensions, errors } = scanDirectory(scanPath, {
+      onProgress: (progress) => {
+        if (progress.extensionsFound > 0) {
+          spinner.text = `Scanning... (${progress.extensionsFound} found)`;
+        }
+      }
+    }));
 
-  spinner.succeed(`Found ${extensions.length} extension(s)`);
+    spinner.succeed(`Found ${extensions.length} extension(s)`);
+  }
 
   if (extensions.length === 0) {
     console.log(errorBox(
@@ -142,7 +179,9 @@ export async function runCreateWizard(options = {}) {
     const num = colors.muted(`${i + 1}.`);
     const name = colors.highlight(ext.name);
     const version = colors.muted(`v${ext.version}`);
-    console.log(`  ${num} ${name} ${version}`);
+    const source = ext.extensionId ? colors.muted(` ${ext.extensionId}${ext.profile ? ` (${ext.profile})` : ''}`) : '';
+    const store = ext.type === 'store' ? colors.muted(' [store]') : '';
+    console.log(`  ${num} ${name} ${version}${store}${source}`);
   });
   console.log();
 
@@ -161,7 +200,7 @@ export async function runCreateWizard(options = {}) {
         name: 'selected',
         message: 'Select extensions to include:',
         choices: extensions.map((ext, i) => ({
-          name: `${ext.name} ${colors.muted(`v${ext.version}`)}`,
+          name: `${ext.name} ${colors.muted(`v${ext.version}${ext.type === 'store' ? ' [store]' : ''}`)}`,
           value: i,
           checked: false // All unchecked by default - user must explicitly select
         })),
@@ -183,11 +222,18 @@ export async function runCreateWizard(options = {}) {
 
   let totalBundledSize = 0;
   const bundledExtensions = [];
+  const sanitized = [];
+  const keys = [];
 
   for (const ext of selectedExtensions) {
     if (ext.type === 'local') {
       try {
-        const bundled = await bundleExtension(ext.path);
+        const bundled = await bundleExtension(ext.path, {
+          fromProfile: Boolean(ext.profile) || scannedProfile,
+          onSanitize: (report) => sanitized.push(report),
+          generateKey: Boolean(options.generateKeys),
+          onKey: (key) => keys.push(key)
+        });
         const bundledSize = calculateBundleSize(bundled);
 
         bundledExtensions.push(bundled);
@@ -201,6 +247,15 @@ export async function runCreateWizard(options = {}) {
         await pause();
         return null;
       }
+    } else if (ext.type === 'store') {
+      // Store installs are referenced by ID, not copied
+      bundledExtensions.push({
+        type: 'store',
+        id: ext.id,
+        name: ext.name,
+        version: ext.version,
+        description: ext.description
+      });
     } else {
       bundledExtensions.push(ext);
     }
@@ -209,6 +264,46 @@ export async function runCreateWizard(options = {}) {
   const bundledSizeMB = (totalBundledSize / 1024 / 1024).toFixed(2);
   bundleSpinner.succeed(`Extensions bundled (${bundledSizeMB} MB compressed)`);
 
+  // Store installs lose the data that stops them loading unpacked
+  if (sanitized.length > 0) {
+    console.log(colors.muted(`\nPrepared ${sanitized.length} store-installed extension(s) for unpacked loading:`));
+    sanitized.forEach(({ name, changes }) => {
+      console.log(colors.muted(`  ${name}`));
+      changes.forEach(change => {
+        console.log(colors.muted(`    ${change.action} ${change.path === 'manifest.json' ? change.reason : `${change.path} (${change.reason})`}`));
+      });
+    });
+  }
+
+  // One key per extension: a shared key would give two extensions the same ID
+  const reused = findKeyReuse(keys);
+
+  if (reused.length > 0) {
+    console.log(errorBox(
+      'Refusing to give several extensions the same key:\n\n' +
+      reused.map(({ keyPath, names }) => `${names.join(', ')} → ${keyPath}`).join('\n')
+    ));
+    await pause();
+    return null;
+  }
+
+  // Keys pin the extension ID; export --format crx signs with the same key
+  if (keys.length > 0) {
+    console.log(colors.muted(`\nAdded a manifest key to ${keys.length} extension(s):`));
+    keys.forEach(({ name, extensionId, keyPath, generated }) => {
+      console.log(colors.muted(`  ${name} → ${extensionId} (${generated ? 'new key' : 'key'} ${keyPath})`));
+    });
+  }
+
+  const collisions = findIdCollisions(bundledExtensions.map(ext => ({
+    name: ext.name,
+    id: ext.type === 'store' ? ext.id : ext.type === 'bundled' ? getBundledExtensionId(ext) : null
+  })));
+
+  collisions.forEach(({ id, names }) => {
+    console.log(colors.warning(`\n⚠ ${names.join(', ')} share extension ID ${id}; the browser loads only one of them.`));
+  });
+
   // 5. Get pack metadata from user
   console.log();
 
@@ -314,10 +409,15 @@ export async function runCreateWizard(options = {}) {
   const outputFile = options.output || join(packsDir, defaultFileName);
 
   // 7. Create and save pack
-  const pack = createPack(finalPackName, packDescription, author, bundledExtensions);
+  let pack = createPack(finalPackName, packDescription, author, bundledExtensions);
   const saveSpinner = ora('Saving pack...').start();
 
   try {
+    if (options.sign) {
+      saveSpinner.text = 'Signing pack...';
+      pack = signPack(pack, options.sign === true ? undefined : options.sign, author);
+    }
+
     await writePackFile(resolve(outputFile), pack);
     saveSpinner.succeed('Pack created successfully');
 
@@ -325,7 +425,8 @@ export async function runCreateWizard(options = {}) {
       `Pack: ${colors.highlight(pack.name)}\n\n` +
       `File: ${outputFile}\n` +
       `Extensions: ${bundledExtensions.length}\n` +
-      `Size: ${bundledSizeMB} MB`
+      `Size: ${bundledSizeMB} MB` +
+      (pack.signature ? `\nSigned: ${pack.signature.keyId}` : '')
     ));
 
     // Show next steps
@@ -363,42 +464,70 @@ function getAuthor() {
 }
 
 /**
- * Known browser extension directories per platform
+ * Turn an extension read from a browser profile into a pack candidate
+ * Web Store installs become store references; everything else is bundled.
+ * @param {Object} ext - Entry from readProfileExtensions
+ * @returns {Object}
  */
-const EXTENSION_DIRS = {
-  darwin: [
-    { label: 'Brave', path: join(homedir(), 'Library/Application Support/BraveSoftware/Brave-Browser/Default/Extensions') },
-    { label: 'Chrome', path: join(homedir(), 'Library/Application Support/Google/Chrome/Default/Extensions') },
-    { label: 'Chromium', path: join(homedir(), 'Library/Application Support/Chromium/Default/Extensions') },
-    { label: 'Edge', path: join(homedir(), 'Library/Application Support/Microsoft Edge/Default/Extensions') }
-  ],
-  linux: [
-    { label: 'Brave', path: join(homedir(), '.config/BraveSoftware/Brave-Browser/Default/Extensions') },
-    { label: 'Chrome', path: join(homedir(), '.config/google-chrome/Default/Extensions') },
-    { label: 'Chromium', path: join(homedir(), '.config/chromium/Default/Extensions') },
-    { label: 'Edge', path: join(homedir(), '.config/microsoft-edge/Default/Extensions') }
-  ],
-  win32: [
-    { label: 'Brave', path: join(process.env.LOCALAPPDATA || '', 'BraveSoftware/Brave-Browser/User Data/Default/Extensions') },
-    { label: 'Chrome', path: join(process.env.LOCALAPPDATA || '', 'Google/Chrome/User Data/Default/Extensions') },
-    { label: 'Chromium', path: join(process.env.LOCALAPPDATA || '', 'Chromium/User Data/Default/Extensions') },
-    { label: 'Edge', path: join(process.env.LOCALAPPDATA || '', 'Microsoft/Edge/User Data/Default/Extensions') }
-  ]
-};
+function toPackCandidate(ext) {
+  return {
+    type: ext.location === 'store' ? 'store' : 'local',
+    id: ext.id,
+    path: ext.path,
+    name: ext.name,
+    version: ext.version,
+    description: ext.description,
+    extensionId: ext.id,
+    profile: ext.profile
+  };
+}
 
 /**
- * Detect directories that contain extensions
+ * Detect browser profiles and directories that contain extensions
+ * @param {string} profileName - Only offer profiles with this name or directory
+ * @returns {Array<Object>} { label, path, count, packName }
  */
-function detectExtensionDirs() {
+function detectExtensionDirs(profileName = null) {
   const results = [];
-  const platform = getPlatform();
-  const knownDirs = EXTENSION_DIRS[platform] || [];
-
-  for (const dir of knownDirs) {
-    if (existsSync(dir.path)) {
-      const scan = scanDirectory(dir.path, { maxDepth: 2 });
-      if (scan.extensions.length > 0) {
-        results.push({ label: dir.label, path: dir.path, count: scan.extensions.length });
+
+  for (const [name, userDataDir] of Object.entries(getUserDataDirs())) {
+    const browserLabel = name.charAt(0).toUpperCase() + name.slice(1);
+    let profiles;
+
+    if (profileName) {
+      try {
+        profiles = [findBrowserProfile(userDataDir, profileName)];
+      } catch {
+        continue;
+      }
+    } else {
+      profiles = listBrowserProfiles(userDataDir);
+    }
+
+    for (const profile of profiles) {
+      // Name profiles only when the browser has more than one
+      const single = !profileName && profiles.length === 1;
+      const label = single ? browserLabel : `${browserLabel} – ${formatProfileLabel(profile)}`;
+      const packName = single
+        ? `${name}-extensions`
+        : `${name}-${profile.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}-extensions`;
+
+      try {
+        const count = readProfileExtensions(profile.path).filter(ext => ext.enabled).length;
+        if (count > 0) {
+          results.push({ label, path: profile.path, count, packName });
+        }
+        continue;
+      } catch {
+        // Unreadable Preferences: fall back to scanning the Extensions folder
+      }
+
+      const extensionsDir = join(profile.path, 'Extensions');
+      if (existsSync(extensionsDir)) {
+        const scan = scanDirectory(extensionsDir, { maxDepth: 2 });
+        if (scan.extensions.length > 0) {
+          results.push({ label, path: extensionsDir, count: scan.extensions.length, packName });
+        }
       }
     }
   }
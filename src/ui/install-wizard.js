@@ -9,12 +9,16 @@ import cliProgress from 'cli-progress';
 import { resolve, join } from 'path';
 import { existsSync } from 'fs';
 import { tmpdir } from 'os';
+import { fileURLToPath } from 'url';
 import { colors, successBox, errorBox, warningBox, formatPackSummary, formatExtensionList, clearScreen, pause } from './helpers.js';
-import { readPackFile } from '../core/pack-codec.js';
+import { readPackFile, parseShareUrl, validate, writePackFile } from '../core/pack-codec.js';
+import { describeSignature } from '../core/pack-signer.js';
 import { installPack } from '../core/pack-installer.js';
-import { detectBrowsers, getPreferredBrowser } from '../utils/browser-detector.js';
+import { findBrowserProfile, formatProfileLabel } from '../core/browser-profile.js';
+import { detectBrowsers, getBrowser, getPreferredBrowser } from '../utils/browser-detector.js';
 import { getConfig } from '../utils/config-manager.js';
-import { getPackInfo, downloadPack, isRegistryAccessible } from '../core/registry-client.js';
+import { getPackInfo, downloadPack, downloadFile, isRegistryAccessible } from '../core/registry-client.js';
+import { sha256, hashFile } from '../utils/hash.js';
 
 // Register autocomplete prompt
 inquirer.registerPrompt('autocomplete', autocomplete);
@@ -22,10 +26,26 @@ inquirer.registerPrompt('autocomplete', autocomplete);
 /**
  * Run the install pack wizard
  * @param {string} packFile - Optional pack file path
- * @returns {Promise<boolean>} True if installed successfully
+ * @param {Object} options - Install options
+ * @param {string} options.browser - Browser name to use instead of detecting one
+ * @param {boolean} options.yes - Skip every prompt and pause (non-interactive)
+ * @param {boolean} options.relaunch - Relaunch the browser (false: only prepare and record the pack)
+ * @param {boolean} options.frozen - Require extensions to match the lockfile
+ * @param {string} options.lockfile - Custom lockfile path
+ * @param {boolean} options.isolated - Launch in the pack's own profile, leaving the main browser open
+ * @param {string} options.profile - Browser profile to open, by name or directory
+ * @returns {Promise<boolean>} True if every extension installed successfully
  */
-export async function runInstallWizard(packFile = null) {
-  clearScreen();
+export async function runInstallWizard(packFile = null, options = {}) {
+  const yes = Boolean(options.yes);
+  const relaunch = options.relaunch !== false;
+
+  // Non-interactive runs never wait for Enter
+  const pauseUnlessYes = () => (yes ? Promise.resolve() : pause());
+
+  if (!yes) {
+    clearScreen();
+  }
 
   console.log(colors.bold('\n  Install Extension Pack\n'));
 
@@ -34,6 +54,11 @@ export async function runInstallWizard(packFile = null) {
   let packPath = null;
   let isFromRegistry = false;
 
+  if (!selectedPackFile && yes) {
+    console.log(errorBox('Specify a pack to install when using --yes.'));
+    return false;
+  }
+
   if (!selectedPackFile) {
     // No pack specified - show registry browser
     const checkSpinner = ora('Fetching registry...').start();
@@ -44,7 +69,7 @@ export async function runInstallWizard(packFile = null) {
       if (!accessible) {
         checkSpinner.fail('Registry not accessible');
         console.log(errorBox('Cannot connect to registry.\n\nCheck your internet connection.'));
-        await pause();
+        await pauseUnlessYes();
         return false;
       }
 
@@ -108,7 +133,7 @@ export async function runInstallWizard(packFile = null) {
 
       if (!selectedPack) {
         console.log(errorBox('No pack selected.'));
-        await pause();
+        await pauseUnlessYes();
         return false;
       }
 
@@ -118,15 +143,43 @@ export async function runInstallWizard(packFile = null) {
     } catch (error) {
       checkSpinner.fail('Failed to connect');
       console.log(errorBox(`Error: ${error.message}`));
-      await pause();
+      await pauseUnlessYes();
       return false;
     }
   }
 
-  // Detect if it's a registry name or file path
+  // Detect if it's a URL, registry name or file path
   let packInfo = null; // Store pack info for preview before download
+  let lockfile = options.lockfile || null;
+
+  // Reference URLs to registry packs go through the registry flow
+  if (isPackUrl(selectedPackFile)) {
+    const shared = parseShareUrl(selectedPackFile);
+    if (shared?.type === 'reference' && shared.reference.id) {
+      selectedPackFile = shared.reference.id;
+    }
+  }
 
-  if (!selectedPackFile.endsWith('.extpack') && !existsSync(selectedPackFile)) {
+  if (isPackUrl(selectedPackFile)) {
+    const urlSpinner = ora('Fetching pack from URL...').start();
+
+    try {
+      packPath = await fetchPackFromUrl(selectedPackFile, (progress) => {
+        urlSpinner.text = `Downloading... ${progress.progress}%`;
+      });
+      urlSpinner.succeed('Pack fetched');
+    } catch (error) {
+      urlSpinner.fail('Failed to fetch pack');
+      console.log(errorBox(error.message));
+      await pauseUnlessYes();
+      return false;
+    }
+
+    // Packs from share/download URLs live in a temp file, so only keep a lockfile where asked
+    if (!selectedPackFile.startsWith('file:')) {
+      lockfile = options.lockfile || false;
+    }
+  } else if (!selectedPackFile.endsWith('.extpack') && !existsSync(selectedPackFile)) {
     // Might be a registry pack name
     const checkSpinner = ora('Checking registry...').start();
 
@@ -139,7 +192,7 @@ export async function runInstallWizard(packFile = null) {
           'Cannot connect to registry.\n\n' +
           'If you meant to install a local file, make sure the path is correct.'
         ));
-        await pause();
+        await pauseUnlessYes();
         return false;
       }
 
@@ -151,7 +204,7 @@ export async function runInstallWizard(packFile = null) {
           `Pack "${selectedPackFile}" not found in registry.\n\n` +
           'Try searching: ext-pack search <query>'
         ));
-        await pause();
+        await pauseUnlessYes();
         return false;
       }
 
@@ -181,7 +234,7 @@ export async function runInstallWizard(packFile = null) {
       }
 
       // Confirm download
-      const { confirmDownload } = await inquirer.prompt([
+      const { confirmDownload } = yes ? { confirmDownload: true } : await inquirer.prompt([
         {
           type: 'confirm',
           name: 'confirmDownload',
@@ -192,7 +245,7 @@ export async function runInstallWizard(packFile = null) {
 
       if (!confirmDownload) {
         console.log(errorBox('Installation cancelled.'));
-        await pause();
+        await pauseUnlessYes();
         return false;
       }
 
@@ -213,7 +266,7 @@ export async function runInstallWizard(packFile = null) {
     } catch (error) {
       checkSpinner.fail('Failed to fetch from registry');
       console.log(errorBox(`Error: ${error.message}`));
-      await pause();
+      await pauseUnlessYes();
       return false;
     }
   } else {
@@ -222,7 +275,7 @@ export async function runInstallWizard(packFile = null) {
 
     if (!existsSync(packPath)) {
       console.log(errorBox(`Pack file not found: ${packPath}`));
-      await pause();
+      await pauseUnlessYes();
       return false;
     }
   }
@@ -230,14 +283,26 @@ export async function runInstallWizard(packFile = null) {
   // Step 2: Read and validate pack
   const spinner = ora('Reading pack file...').start();
 
+  const config = getConfig();
   let pack;
   try {
-    pack = await readPackFile(packPath);
+    // Keep the verification of the file as signed; upgrading a v2 pack changes what a re-check would see
+    let verification;
+    pack = await readPackFile(packPath, {
+      signaturePolicy: config.security?.signaturePolicy,
+      onVerify: (result) => { verification = result; }
+    });
     spinner.succeed('Pack file loaded');
+
+    // Show who signed the pack
+    const signatureText = `Signature: ${describeSignature(verification)}`;
+    console.log(verification.trusted
+      ? colors.success(signatureText)
+      : verification.signed ? colors.warning(signatureText) : colors.muted(signatureText));
   } catch (err) {
     spinner.fail('Failed to read pack file');
     console.log(errorBox(err.message));
-    await pause();
+    await pauseUnlessYes();
     return false;
   }
 
@@ -266,7 +331,7 @@ export async function runInstallWizard(packFile = null) {
   }
 
   // Step 4: Confirm installation (only for local files, registry packs already confirmed)
-  if (!isFromRegistry) {
+  if (!isFromRegistry && !yes) {
     const { confirmInstall } = await inquirer.prompt([
       {
         type: 'confirm',
@@ -278,48 +343,92 @@ export async function runInstallWizard(packFile = null) {
 
     if (!confirmInstall) {
       console.log(errorBox('Installation cancelled.'));
-      await pause();
+      await pauseUnlessYes();
       return false;
     }
   }
 
-  // Step 5: Select browser
-  const browser = await selectBrowser();
+  // Step 5: Select browser (only required when relaunching)
+  let browser = null;
+
+  if (options.browser) {
+    browser = getBrowser(options.browser);
 
-  if (!browser) {
-    console.log(errorBox('No supported browser found. Install Brave, Chrome, or Chromium.'));
-    await pause();
+    if (!browser) {
+      console.log(errorBox(`Browser "${options.browser}" not found. Supported: brave, chrome, chromium, edge.`));
+      await pauseUnlessYes();
+      return false;
+    }
+  } else {
+    browser = await selectBrowser({ interactive: !yes });
+  }
+
+  if (!browser && relaunch) {
+    console.log(errorBox('No supported browser found. Install Brave, Chrome, or Chromium, or use --no-relaunch.'));
+    await pauseUnlessYes();
     return false;
   }
 
-  console.log(colors.muted(`\nUsing ${browser.displayName}\n`));
+  if (browser) {
+    console.log(colors.muted(`\nUsing ${browser.displayName}\n`));
+  }
+
+  // Isolated packs open next to the running browser instead of replacing it
+  const isolated = Boolean(options.isolated || pack.isolated);
 
-  // Step 6: Check if browser is already running and warn
-  const { isBrowserRunning } = await import('../core/browser-launcher.js');
-  const isRunning = await isBrowserRunning(browser.processName);
+  if (isolated) {
+    console.log(colors.muted('Isolated: the pack gets its own browser profile and your browser stays open.\n'));
+  }
 
-  if (isRunning) {
-    console.log(warningBox(
-      `${browser.displayName} is currently running.\n\n` +
-      colors.muted('The browser will be closed and relaunched with extensions.')
-    ));
+  // Open a specific profile of the main browser
+  let profile = null;
 
-    const { confirmProceed } = await inquirer.prompt([
-      {
-        type: 'confirm',
-        name: 'confirmProceed',
-        message: 'Close browser and continue?',
-        default: true
-      }
-    ]);
+  if (options.profile && !isolated) {
+    if (!browser) {
+      console.log(errorBox('No supported browser found to open the profile in. Use --browser.'));
+      await pauseUnlessYes();
+      return false;
+    }
 
-    if (!confirmProceed) {
-      console.log(errorBox('Installation cancelled.'));
-      await pause();
+    try {
+      profile = findBrowserProfile(browser.userDataDir, options.profile);
+    } catch (err) {
+      console.log(errorBox(err.message));
+      await pauseUnlessYes();
       return false;
     }
 
-    console.log();
+    console.log(colors.muted(`Profile: ${formatProfileLabel(profile)}\n`));
+  }
+
+  // Step 6: Check if browser is already running and warn
+  if (relaunch && !isolated) {
+    const { isBrowserRunning } = await import('../core/browser-launcher.js');
+    const isRunning = await isBrowserRunning(browser);
+
+    if (isRunning) {
+      console.log(warningBox(
+        `${browser.displayName} is currently running.\n\n` +
+        colors.muted('The browser will be closed and relaunched with extensions.')
+      ));
+
+      const { confirmProceed } = yes ? { confirmProceed: true } : await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'confirmProceed',
+          message: 'Close browser and continue?',
+          default: true
+        }
+      ]);
+
+      if (!confirmProceed) {
+        console.log(errorBox('Installation cancelled.'));
+        await pauseUnlessYes();
+        return false;
+      }
+
+      console.log();
+    }
   }
 
   // Step 8: Install pack
@@ -335,6 +444,14 @@ export async function runInstallWizard(packFile = null) {
   const result = await installPack(packPath, browser, {
     autoKill: true,
     countdown: 3,
+    relaunch,
+    registryId: packInfo?.id || null,
+    version: packInfo?.version || null,
+    lockfile,
+    frozen: Boolean(options.frozen),
+    refresh: Boolean(options.refresh),
+    isolated,
+    profile: profile?.directory || null,
     onProgress: (progress) => {
       if (progress.current === 1) {
         progressBar.start(progress.total, 0, { extension: '' });
@@ -372,8 +489,10 @@ export async function runInstallWizard(packFile = null) {
         `Partial installation.\n\n` +
         `Installed: ${successCount} of ${totalCount} extensions\n` +
         `Failed: ${failureCount}\n` +
-        `Browser: ${browser.displayName}\n\n` +
-        colors.muted('Successfully installed extensions are loaded in browser.')
+        (browser ? `Browser: ${browser.displayName}\n\n` : '\n') +
+        colors.muted(relaunch
+          ? 'Successfully installed extensions are loaded in browser.'
+          : 'Successfully installed extensions are ready. Restart your browser to load them.')
       ));
 
       // Show detailed error list
@@ -391,11 +510,46 @@ export async function runInstallWizard(packFile = null) {
       console.log(successBox(
         `Installation successful!\n\n` +
         `Extensions: ${successCount}\n` +
-        `Browser: ${browser.displayName}\n\n` +
-        colors.muted('All extensions loaded and browser relaunched.')
+        (browser ? `Browser: ${browser.displayName}\n\n` : '\n') +
+        colors.muted(relaunch
+          ? (isolated ? 'All extensions loaded in an isolated browser window.' : 'All extensions loaded and browser relaunched.')
+          : 'Extensions extracted and recorded. Restart your browser to load them.')
       ));
     }
 
+    // Extension IDs: path-based ones change on every machine
+    if (result.extensionIds.length > 0) {
+      console.log(colors.bold('Extension IDs:\n'));
+      result.extensionIds.forEach(({ name, id, stable }) => {
+        console.log(`  ${colors.muted(id)} ${name}${stable ? '' : colors.warning(' (from install path, differs per machine)')}`);
+      });
+      console.log();
+    }
+
+    result.collisions.forEach(({ id, names }) => {
+      console.log(colors.warning(`⚠ ${names.join(', ')} share extension ID ${id}; the browser loads only one of them.\n`));
+    });
+
+    if (result.legacyBundles.length > 0) {
+      console.log(colors.warning(`⚠ Installed without integrity check (bundled before digests existed): ${result.legacyBundles.join(', ')}\n`));
+    }
+
+    if (!result.enabled) {
+      console.log(colors.warning(`⚠ ${pack.name} was disabled and stays disabled. Load it with: ext-pack enable "${pack.name}"\n`));
+    }
+
+    if (result.profileDir) {
+      console.log(colors.muted(`Isolated profile: ${result.profileDir}\n`));
+    }
+
+    if (result.lockfilePath && !options.frozen) {
+      console.log(colors.muted(`Lockfile written: ${result.lockfilePath}\n`));
+    }
+
+    if (yes) {
+      return !hasErrors;
+    }
+
     // Suggest next actions
     const { nextAction } = await inquirer.prompt([
       {
@@ -430,7 +584,7 @@ export async function runInstallWizard(packFile = null) {
       await runInstallWizard();
     }
 
-    return true;
+    return !hasErrors;
   } else {
     console.log(errorBox(
       `Installation failed.\n\n` +
@@ -438,15 +592,88 @@ export async function runInstallWizard(packFile = null) {
       (result.reason === 'browser_running' ? '\n\n' + colors.muted('Close the browser and try again.') : '')
     ));
 
-    await pause();
+    await pauseUnlessYes();
     return false;
   }
 }
+/**
+ * Check whether an install argument is a URL rather than a path or registry ID
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isPackUrl(value) {
+  return /^(https?|file|ext-pack):\/\//i.test(value);
+}
+
+/**
+ * Turn a pack URL into a local pack file
+ * Hub and ext-pack:// share URLs carry the pack (or a hash-pinned download
+ * reference) in the hash, https URLs point at a .extpack download and file://
+ * URLs at a pack on disk.
+ * @param {string} url
+ * @param {Function} onProgress - Download progress callback
+ * @returns {Promise<string>} Path to the pack file
+ */
+async function fetchPackFromUrl(url, onProgress = null) {
+  const urlObj = new URL(url);
+
+  if (urlObj.protocol === 'file:') {
+    const filePath = fileURLToPath(urlObj);
+    if (!existsSync(filePath)) {
+      throw new Error(`Pack file not found: ${filePath}`);
+    }
+    return filePath;
+  }
+
+  const targetPath = join(tmpdir(), `ext-pack-${sha256(url).slice(0, 12)}.extpack`);
+
+  if (urlObj.hash.length > 1) {
+    const shared = parseShareUrl(url);
+
+    if (!shared) {
+      throw new Error('URL does not contain a valid pack.\n\nCheck that the full share URL was copied.');
+    }
+
+    // Reference to a download: fetch it and check it is the file that was shared
+    if (shared.type === 'reference') {
+      await downloadFile(shared.reference.url, targetPath, onProgress);
+
+      if (await hashFile(targetPath) !== shared.reference.sha256) {
+        throw new Error(`Downloaded pack does not match the shared hash.\n\n${shared.reference.url} has changed since it was shared.`);
+      }
+
+      return targetPath;
+    }
+
+    const validation = validate(shared.pack);
+    if (!validation.valid) {
+      throw new Error(`Invalid pack in URL: ${validation.errors.join(', ')}`);
+    }
+
+    await writePackFile(targetPath, shared.pack);
+    return targetPath;
+  }
+
+  if (urlObj.protocol !== 'https:') {
+    throw new Error('Pack downloads must use https://');
+  }
+
+  if (!urlObj.pathname.endsWith('.extpack')) {
+    throw new Error('URL must point to a .extpack file or be an ext-pack share URL.');
+  }
+
+  await downloadFile(url, targetPath, onProgress);
+  return targetPath;
+}
+
 /**
  * Select browser to use
+ * @param {Object} options
+ * @param {boolean} options.interactive - Allow prompting when several browsers are installed
  * @returns {Promise<Object|null>}
  */
-async function selectBrowser() {
+async function selectBrowser(options = {}) {
+  const { interactive = true } = options;
   const config = getConfig();
   const browsers = detectBrowsers();
 
@@ -461,10 +688,14 @@ async function selectBrowser() {
   // Get preferred browser
   const preferred = getPreferredBrowser(config.browser.preference);
 
-  if (preferred && !process.env.EXT_PACK_SELECT_BROWSER) {
+  if (preferred && (!process.env.EXT_PACK_SELECT_BROWSER || !interactive)) {
     return preferred;
   }
 
+  if (!interactive) {
+    return browsers[0];
+  }
+
   const { selectedBrowser } = await inquirer.prompt([
     {
       type: 'list',
@@ -9,7 +9,9 @@ import { homedir } from 'os';
 import { colors, clearScreen, errorBox, successBox, pause } from './helpers.js';
 import { getInstalledPacks, removeInstalledPack } from '../utils/config-manager.js';
 import { readPackFile } from '../core/pack-codec.js';
-import { getPackInfo } from '../core/registry-client.js';
+import { getPackInfo, checkForUpdate } from '../core/registry-client.js';
+import { togglePack } from './pack-manager.js';
+import { findNewerReleases } from '../core/pack-installer.js';
 
 /**
  * Run the pack management wizard
@@ -48,8 +50,11 @@ export async function runListWizard() {
       const name = colors.highlight(pack.name);
       const version = colors.muted(`v${pack.version || '1.0.0'}`);
       const extCount = colors.muted(`(${pack.extensions?.length || 0} ext)`);
-      console.log(`${num} ${name} ${version} ${extCount}\n`);
+      const disabled = pack.enabled === false ? ` ${colors.warning('[disabled]')}` : '';
+      console.log(`${num} ${name} ${version} ${extCount}${disabled}\n`);
     });
+
+    await showNewerReleases(installedPacks);
   } else {
     console.log(colors.muted('  No installed packs yet.\n'));
   }
@@ -70,6 +75,7 @@ export async function runListWizard() {
       choices: [
         ...(installedPacks.length > 0 ? [
           { name: 'Update an installed pack', value: 'update' },
+          { name: 'Enable or disable an installed pack', value: 'toggle' },
           { name: 'Remove an installed pack', value: 'remove' }
         ] : []),
         ...(createdPacks.length > 0 ? [
@@ -88,11 +94,41 @@ export async function runListWizard() {
     await viewCreatedPack(createdPacks);
   } else if (action === 'update') {
     await updateInstalledPack(installedPacks);
+  } else if (action === 'toggle') {
+    await togglePack(installedPacks);
   } else if (action === 'remove') {
     await removeInstalledPackInteractive(installedPacks);
   }
 }
 
+/**
+ * Report GitHub extensions of installed packs that have a newer release
+ * Runs after the list is on screen; packs are checked in parallel and lookups
+ * that fail (offline, rate limited) are left out.
+ * @param {Array<Object>} installedPacks - Installed pack entries
+ */
+async function showNewerReleases(installedPacks) {
+  const checks = await Promise.all(installedPacks.map(async (pack) => ({
+    pack,
+    newer: await findNewerReleases(pack).catch(() => [])
+  })));
+
+  const withUpdates = checks.filter(({ newer }) => newer.length > 0);
+
+  if (withUpdates.length === 0) {
+    return;
+  }
+
+  console.log(colors.bold('  Newer releases:\n'));
+  withUpdates.forEach(({ pack, newer }) => {
+    newer.forEach(release => {
+      const hint = release.pinned ? 'pinned by the pack' : 'reinstall with --refresh';
+      console.log(colors.warning(`  ↑ ${pack.name} › ${release.name}: ${release.latestTag} available (installed ${release.installedTag}, ${hint})`));
+    });
+  });
+  console.log();
+}
+
 /**
  * Get created packs from local directory
  */
@@ -185,7 +221,8 @@ async function updateInstalledPack(installedPacks) {
   console.log(colors.muted('\nChecking for updates...\n'));
 
   try {
-    const packInfo = await getPackInfo(selectedPack);
+    const installedPack = installedPacks.find(p => p.name === selectedPack);
+    const packInfo = await getPackInfo(installedPack.registryId || selectedPack);
 
     if (!packInfo) {
       console.log(errorBox('Pack not found in registry'));
@@ -193,12 +230,15 @@ async function updateInstalledPack(installedPacks) {
       return;
     }
 
-    const installedPack = installedPacks.find(p => p.name === selectedPack);
-    const currentVersion = installedPack.version || '1.0.0';
-    const latestVersion = packInfo.version;
+    const check = checkForUpdate(installedPack.version, packInfo);
+    const currentVersion = check.current;
+    const latestVersion = check.latest;
 
-    if (currentVersion === latestVersion) {
-      console.log(successBox(`Already on latest version (v${latestVersion})`));
+    if (!check.available) {
+      const detail = check.status === 'current'
+        ? ''
+        : colors.muted(`\n\nRegistry has v${latestVersion} — run: ext-pack update ${selectedPack} ${check.status === 'downgrade' ? '--allow-downgrade' : '--channel pre'}`);
+      console.log(successBox(`Already on latest version (v${currentVersion})${detail}`));
       await pause();
       return;
     }
@@ -218,7 +258,7 @@ async function updateInstalledPack(installedPacks) {
     if (confirm) {
       console.log(colors.muted('\nUpdating pack...\n'));
       const { runInstallWizard } = await import('./install-wizard.js');
-      await runInstallWizard(selectedPack);
+      await runInstallWizard(installedPack.registryId || selectedPack);
     }
   } catch (err) {
     console.log(errorBox(`Failed to check for updates: ${err.message}`));
@@ -4,8 +4,10 @@
 
 import inquirer from 'inquirer';
 import { colors, formatPackSummary, timeAgo, clearScreen, errorBox, successBox, pause } from './helpers.js';
-import { getInstalledPacks, removeInstalledPack } from '../utils/config-manager.js';
+import { getInstalledPacks, removeInstalledPack, getConfig } from '../utils/config-manager.js';
 import { readPackFile } from '../core/pack-codec.js';
+import { setPackState } from '../core/pack-installer.js';
+import { getBrowser, getPreferredBrowser } from '../utils/browser-detector.js';
 import { existsSync } from 'fs';
 
 /**
@@ -31,8 +33,9 @@ export async function runPackManager() {
     const name = colors.highlight(pack.name);
     const extCount = colors.muted(`(${pack.extensions.length} extensions)`);
     const installed = pack.installed ? colors.muted(`installed ${timeAgo(pack.installed)}`) : '';
+    const disabled = pack.enabled === false ? colors.warning('[disabled] ') : '';
 
-    console.log(`  ${num} ${name} ${extCount} ${installed}`);
+    console.log(`  ${num} ${name} ${extCount} ${disabled}${installed}`);
   });
   console.log();
 
@@ -51,6 +54,10 @@ export async function runPackManager() {
           name: 'Reinstall a pack',
           value: 'reinstall'
         },
+        {
+          name: 'Enable or disable a pack',
+          value: 'toggle'
+        },
         {
           name: 'Remove a pack',
           value: 'remove'
@@ -73,6 +80,10 @@ export async function runPackManager() {
       await reinstallPack(registry.packs);
       break;
 
+    case 'toggle':
+      await togglePack(registry.packs);
+      break;
+
     case 'remove':
       await removePack(registry.packs);
       break;
@@ -170,6 +181,75 @@ async function reinstallPack(packs, preselected = null) {
   await runInstallWizard(pack.file);
 }
 
+/**
+ * Enable or disable an installed pack and offer to relaunch with the new load set
+ * @param {Array<Object>} packs - Installed pack entries
+ * @returns {Promise<void>}
+ */
+export async function togglePack(packs) {
+  const { pack } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'pack',
+      message: 'Select pack to enable or disable:',
+      choices: packs.map(p => ({
+        name: `${p.name} ${p.enabled === false ? colors.warning('(disabled)') : colors.success('(enabled)')}`,
+        value: p
+      }))
+    }
+  ]);
+
+  const enabled = pack.enabled === false;
+  const verb = enabled ? 'Enable' : 'Disable';
+  const browser = pack.browser
+    ? getBrowser(pack.browser)
+    : getPreferredBrowser(getConfig().browser.preference);
+
+  const { confirm } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'confirm',
+      message: browser && pack.isolated
+        ? `${verb} "${pack.name}" and ${enabled ? 'open' : 'close'} its isolated ${browser.displayName} window now?`
+        : browser
+        ? `${verb} "${pack.name}" and relaunch ${browser.displayName} now?`
+        : `${verb} "${pack.name}"? (no supported browser found to relaunch)`,
+      default: true
+    }
+  ]);
+
+  if (!confirm) {
+    console.log(errorBox('Cancelled.'));
+    await pause();
+    return;
+  }
+
+  try {
+    const result = await setPackState(pack.name, enabled, browser, {
+      relaunch: Boolean(browser),
+      onCountdown: (seconds) => {
+        console.log(colors.warning(`${browser.displayName} will relaunch in ${seconds}...`));
+      }
+    });
+
+    if (result.success) {
+      console.log(successBox(
+        `${pack.name} ${enabled ? 'enabled' : 'disabled'}.\n\n` +
+        colors.muted(`Load set: ${result.loadSet.extensions.length} extension(s) from enabled packs`)
+      ));
+    } else {
+      console.log(errorBox(
+        `${pack.name} ${enabled ? 'enabled' : 'disabled'}, but the relaunch failed.\n\n` +
+        colors.muted(result.message)
+      ));
+    }
+  } catch (err) {
+    console.log(errorBox(`Failed to ${verb.toLowerCase()} pack: ${err.message}`));
+  }
+
+  await pause();
+}
+
 /**
  * Remove a pack from registry
  */
@@ -209,7 +289,8 @@ async function removePack(packs, preselected = null) {
     console.log(successBox(
       `Pack removed from registry.\n\n` +
       `Pack: ${pack.name}\n\n` +
-      colors.muted('Extensions remain loaded in browser until restart.')
+      colors.muted('Extensions remain loaded in browser until restart.') +
+      (pack.isolated ? colors.muted('\nIts isolated profile is kept; delete it with: ext-pack profiles rm') : '')
     ));
 
     await pause();
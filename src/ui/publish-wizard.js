@@ -9,6 +9,7 @@ import ora from 'ora';
 import { colors, successBox, errorBox, clearScreen, findPackFileSmart, pause } from './helpers.js';
 import { readPackFile, writePackFile } from '../core/pack-codec.js';
 import { publishPack, hasGitHubAuth } from '../core/github-publisher.js';
+import { signPack } from '../core/pack-signer.js';
 import { runCreateWizard } from './create-wizard.js';
 
 /**
@@ -221,6 +222,12 @@ export async function runPublishWizard(packPath = null, options = {}) {
 
     pack.tags = selectedTags;
 
+    // Changing the pack invalidates any existing signature
+    if (pack.signature && !options.sign) {
+      delete pack.signature;
+      console.log(colors.warning('\nTags changed the pack, so its signature was removed. Re-sign with --sign.\n'));
+    }
+
     // Save tags back to pack file
     try {
       await writePackFile(packPath, pack);
@@ -231,6 +238,19 @@ export async function runPublishWizard(packPath = null, options = {}) {
     }
   }
 
+  // Sign after all edits so the signature covers the published content
+  if (options.sign) {
+    try {
+      pack = signPack(pack, options.sign === true ? undefined : options.sign);
+      await writePackFile(packPath, pack);
+      console.log(colors.success(`\n✓ Pack signed (${pack.signature.keyId})\n`));
+    } catch (error) {
+      console.log(errorBox(`Failed to sign pack.\n\n${colors.muted(error.message)}`));
+      await pause();
+      return;
+    }
+  }
+
   // Step 6: Confirm publish
   const { confirm } = await inquirer.prompt([
     {
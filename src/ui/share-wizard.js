@@ -6,8 +6,10 @@ import inquirer from 'inquirer';
 import qrcode from 'qrcode-terminal';
 import { resolve, basename } from 'path';
 import { existsSync } from 'fs';
-import { colors, successBox, errorBox, clearScreen, copyToClipboardMac, findPackFileSmart, pause } from './helpers.js';
-import { readPackFile, generateUrl } from '../core/pack-codec.js';
+import { colors, successBox, errorBox, warningBox, clearScreen, copyToClipboardMac, findPackFileSmart, pause } from './helpers.js';
+import { readPackFile, generateUrl, generateCompactUrl, generateReferenceUrl, validateReference } from '../core/pack-codec.js';
+import { getInstalledPacks } from '../utils/config-manager.js';
+import { hashFile } from '../utils/hash.js';
 
 /**
  * Run the share wizard
@@ -54,7 +56,7 @@ export async function runShareWizard(packFile = null) {
   console.log();
 
   // Warn about local extensions upfront
-  const hasLocalExtensions = pack.extensions.some(ext => ext.type === 'local');
+  const hasLocalExtensions = pack.extensions.some(ext => ext.type === 'local' || ext.type === 'crx');
   if (hasLocalExtensions) {
     console.log(colors.warning('This pack contains local extensions — paths won\'t work on other machines.'));
     console.log();
@@ -72,6 +74,16 @@ export async function runShareWizard(packFile = null) {
           value: 'url',
           short: 'URL'
         },
+        {
+          name: 'Generate compressed ext-pack link (shorter, CLI only)',
+          value: 'compact',
+          short: 'Compressed link'
+        },
+        {
+          name: 'Generate short reference URL (registry ID or download link)',
+          value: 'reference',
+          short: 'Reference URL'
+        },
         {
           name: 'Show QR code',
           value: 'qr',
@@ -97,6 +109,14 @@ export async function runShareWizard(packFile = null) {
       await shareAsUrl(pack, packPath);
       break;
 
+    case 'compact':
+      await shareAsCompactUrl(pack, packPath);
+      break;
+
+    case 'reference':
+      await shareAsReference(pack, packPath);
+      break;
+
     case 'qr':
       await shareAsQrCode(pack, packPath);
       break;
@@ -128,7 +148,7 @@ async function shareAsUrl(pack, packPath) {
     console.log(warningBox(
       `⚠️  This pack generates a very long URL (${Math.round(url.length / 1000)}KB).\n\n` +
       colors.muted('Long URLs may not work in all contexts (email, chat, etc.).\n') +
-      colors.muted('Consider sharing the file directly instead.')
+      colors.muted('Consider a compressed link, a reference URL or sharing the file directly instead.')
     ));
 
     const { continueShare } = await inquirer.prompt([
@@ -150,7 +170,7 @@ async function shareAsUrl(pack, packPath) {
   console.log(successBox(
     `Shareable URL generated!\n\n` +
     `${colors.highlight(url)}\n\n` +
-    colors.muted('Install: ext-pack <url>\n') +
+    colors.muted('Install: ext-pack install "<url>"\n') +
     colors.muted('Or visit the URL in a browser')
   ));
 
@@ -160,6 +180,89 @@ async function shareAsUrl(pack, packPath) {
   await suggestNextAction(packPath);
 }
 
+/**
+ * Share pack as a compressed ext-pack:// link
+ */
+async function shareAsCompactUrl(pack, packPath) {
+  console.log();
+
+  const url = generateCompactUrl(pack);
+
+  console.log(successBox(
+    `Compressed link generated!\n\n` +
+    `${colors.highlight(url)}\n\n` +
+    colors.muted('Install: ext-pack install "<url>"\n') +
+    colors.muted('Browsers and the hub page cannot open this link')
+  ));
+
+  await copyToClipboardMac(url, 'Copy link to clipboard?');
+
+  await suggestNextAction(packPath);
+}
+
+/**
+ * Share a short URL that points at the pack instead of embedding it
+ */
+async function shareAsReference(pack, packPath) {
+  console.log();
+
+  const installed = getInstalledPacks().packs?.find(p => p.name === pack.name);
+
+  const { source } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'source',
+      message: 'Where will people get the pack from?',
+      choices: [
+        { name: 'Registry (by pack ID)', value: 'registry', short: 'Registry' },
+        { name: 'Download link (pinned to this file\'s hash)', value: 'download', short: 'Download link' }
+      ],
+      default: installed?.registryId ? 'registry' : 'download'
+    }
+  ]);
+
+  let reference;
+
+  if (source === 'registry') {
+    const { id } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'id',
+        message: 'Registry pack ID (user/pack):',
+        default: installed?.registryId || undefined,
+        validate: (input) => validateReference({ id: input.trim() }).length === 0 || 'Use the form user/pack'
+      }
+    ]);
+    reference = { id: id.trim() };
+  } else {
+    const sha256 = await hashFile(packPath);
+    const { url } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'url',
+        message: 'https:// URL where this exact .extpack file is hosted:',
+        validate: (input) => validateReference({ url: input.trim(), sha256 }).length === 0 || 'Enter an https:// URL'
+      }
+    ]);
+    reference = { url: url.trim(), sha256 };
+  }
+
+  const url = generateReferenceUrl(reference);
+
+  console.log(successBox(
+    `Reference URL generated!\n\n` +
+    `${colors.highlight(url)}\n\n` +
+    colors.muted('Install: ext-pack install "<url>"\n') +
+    colors.muted(reference.sha256
+      ? 'Install fails if the hosted file no longer matches this pack.'
+      : 'Installs the current registry version of the pack.')
+  ));
+
+  await copyToClipboardMac(url, 'Copy URL to clipboard?');
+
+  await suggestNextAction(packPath);
+}
+
 /**
  * Share pack as QR code
  */
@@ -175,6 +278,7 @@ async function shareAsQrCode(pack, packPath) {
   });
 
   console.log(colors.muted('\n' + url + '\n'));
+  console.log(colors.muted('Install: ext-pack install "<url>"\n'));
 
   await suggestNextAction(packPath);
 }
@@ -60,6 +60,14 @@ export async function handleCompletion() {
       'list',
       'publish',
       'search',
+      'update',
+      'rollback',
+      'enable',
+      'disable',
+      'keys',
+      'export',
+      'cache',
+      'profiles',
       'completion',
       '--help',
       '--version'
@@ -67,7 +75,7 @@ export async function handleCompletion() {
   }
 
   // Complete pack names for install/share commands
-  if (['install', 'share'].includes(env.prev)) {
+  if (['install', 'share', 'export'].includes(env.prev)) {
     // Try to get popular packs from registry
     try {
       const { getPopularPacks } = await import('../core/registry-client.js');
@@ -93,6 +101,43 @@ export async function handleCompletion() {
     }
   }
 
+  // Complete installed pack names for enable/disable
+  if (['enable', 'disable'].includes(env.prev)) {
+    try {
+      const { getInstalledPacks } = await import('./config-manager.js');
+      return tabtab.log((getInstalledPacks().packs || []).map(p => p.name));
+    } catch {
+      return tabtab.log([]);
+    }
+  }
+
+  // Complete cache subcommands
+  if (env.prev === 'cache') {
+    return tabtab.log(['ls', 'size', 'verify', 'prune', 'clean']);
+  }
+
+  // Complete profiles subcommands
+  if (env.prev === 'profiles') {
+    return tabtab.log(['ls', 'rm']);
+  }
+
+  // Complete browser profile names for --profile
+  if (env.prev === '--profile') {
+    try {
+      const { getUserDataDirs } = await import('./browser-detector.js');
+      const { listBrowserProfiles } = await import('../core/browser-profile.js');
+      const names = Object.values(getUserDataDirs()).flatMap(dir => listBrowserProfiles(dir).map(p => p.name));
+      return tabtab.log([...new Set(names)]);
+    } catch {
+      return tabtab.log([]);
+    }
+  }
+
+  // Complete export formats
+  if (env.prev === '--format' || env.prev === '-f') {
+    return tabtab.log(['zip', 'crx']);
+  }
+
   // Complete browser names for --browser option
   if (env.prev === '--browser' || env.prev === '-b') {
     return tabtab.log(['brave', 'chrome', 'chromium', 'edge']);
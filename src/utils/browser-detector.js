@@ -3,7 +3,8 @@
  */
 
 import { existsSync } from 'fs';
-import { platform } from 'os';
+import { platform, homedir } from 'os';
+import { join } from 'path';
 
 /**
  * Browser definitions with platform-specific paths
@@ -29,6 +30,30 @@ const BROWSER_PATHS = {
   }
 };
 
+/**
+ * User data directories (holding Local State and the profiles) per platform
+ */
+const BROWSER_DATA_DIRS = {
+  darwin: {
+    brave: join(homedir(), 'Library/Application Support/BraveSoftware/Brave-Browser'),
+    chrome: join(homedir(), 'Library/Application Support/Google/Chrome'),
+    chromium: join(homedir(), 'Library/Application Support/Chromium'),
+    edge: join(homedir(), 'Library/Application Support/Microsoft Edge')
+  },
+  linux: {
+    brave: join(homedir(), '.config/BraveSoftware/Brave-Browser'),
+    chrome: join(homedir(), '.config/google-chrome'),
+    chromium: join(homedir(), '.config/chromium'),
+    edge: join(homedir(), '.config/microsoft-edge')
+  },
+  win32: {
+    brave: join(process.env.LOCALAPPDATA || '', 'BraveSoftware/Brave-Browser/User Data'),
+    chrome: join(process.env.LOCALAPPDATA || '', 'Google/Chrome/User Data'),
+    chromium: join(process.env.LOCALAPPDATA || '', 'Chromium/User Data'),
+    edge: join(process.env.LOCALAPPDATA || '', 'Microsoft/Edge/User Data')
+  }
+};
+
 /**
  * Browser process names for each platform
  */
@@ -70,6 +95,15 @@ export function getBrowserPaths() {
   return BROWSER_PATHS[currentPlatform] || {};
 }
 
+/**
+ * Get browser user data directories for current platform
+ * @returns {Object} Map of browser name to user data directory
+ */
+export function getUserDataDirs() {
+  const currentPlatform = getPlatform();
+  return BROWSER_DATA_DIRS[currentPlatform] || {};
+}
+
 /**
  * Get browser process names for current platform
  * @returns {Object}
@@ -91,7 +125,8 @@ function buildBrowserObject(name, path, processName) {
     name,
     path,
     processName,
-    displayName: name.charAt(0).toUpperCase() + name.slice(1)
+    displayName: name.charAt(0).toUpperCase() + name.slice(1),
+    userDataDir: getUserDataDirs()[name] || null
   };
 }
 
@@ -8,6 +8,11 @@ const CONFIG_DIR = join(homedir(), '.ext-pack');
 const CONFIG_FILE = join(CONFIG_DIR, 'config.json');
 const INSTALLED_FILE = join(CONFIG_DIR, 'installed.json');
 const CACHE_DIR = join(CONFIG_DIR, 'downloads');
+const HISTORY_DIR = join(CONFIG_DIR, 'history');
+const PROFILES_DIR = join(CONFIG_DIR, 'profiles');
+
+// Oldest generations beyond this are dropped from installed.json
+const MAX_GENERATIONS = 20;
 
 /**
  * Ensure config directory exists
@@ -41,6 +46,18 @@ export function markFirstRunComplete() {
     },
     paths: {
       cacheDir: CACHE_DIR
+    },
+    cache: {
+      maxSize: 1024 * 1024 * 1024,
+      releaseTtl: 60 * 60
+    },
+    security: {
+      signaturePolicy: 'any',
+      extractLimits: {
+        maxUncompressedSize: 512 * 1024 * 1024,
+        maxEntries: 10000,
+        maxCompressionRatio: 100
+      }
     }
   };
 
@@ -72,6 +89,33 @@ export function updateConfig(updates) {
   writeJsonSync(CONFIG_FILE, updatedConfig, { spaces: 2 });
 }
 
+/**
+ * Get the profile the main browser is relaunched into
+ * Every pack in the shared load set runs in the same browser process, so the
+ * profile is a setting of the browser, not of a pack.
+ * @param {string} browserName - Browser name from the detector (brave, chrome, ...)
+ * @returns {string|null} Profile directory (e.g. "Profile 1"), or null for the browser's default
+ */
+export function getBrowserProfile(browserName) {
+  return getConfig().browser?.profiles?.[browserName] || null;
+}
+
+/**
+ * Remember the profile the main browser is relaunched into
+ * @param {string} browserName - Browser name from the detector
+ * @param {string} profileDirectory - Profile directory (e.g. "Profile 1")
+ */
+export function setBrowserProfile(browserName, profileDirectory) {
+  const { browser = {} } = getConfig();
+
+  updateConfig({
+    browser: {
+      ...browser,
+      profiles: { ...browser.profiles, [browserName]: profileDirectory }
+    }
+  });
+}
+
 /**
  * Get installed packs registry
  * @returns {Object}
@@ -90,8 +134,32 @@ export function getInstalledPacks() {
   return readJsonSync(INSTALLED_FILE);
 }
 
+/**
+ * Build a generation snapshot from an installed pack record
+ * @param {Object} pack - Installed pack record
+ * @param {number} generation - Generation number
+ * @returns {Object}
+ */
+function buildGeneration(pack, generation) {
+  return {
+    generation,
+    version: pack.version || '1.0.0',
+    packHash: pack.packHash || null,
+    file: pack.archivedFile || pack.file || null,
+    extensions: (pack.extensions || []).map(ext => ({
+      name: ext.name,
+      version: ext.version || null,
+      type: ext.type,
+      path: ext.path
+    })),
+    installed: new Date().toISOString()
+  };
+}
+
 /**
  * Add pack to installed registry
+ * Every install or update appends a new generation so earlier states can be
+ * restored with `ext-pack rollback`.
  * @param {Object} pack
  */
 export function addInstalledPack(pack) {
@@ -102,22 +170,104 @@ export function addInstalledPack(pack) {
   const existingIndex = registry.packs.findIndex(p => p.name === pack.name);
 
   if (existingIndex >= 0) {
+    const existing = registry.packs[existingIndex];
+
+    // Entries written before generations existed become generation 1
+    const generations = existing.generations
+      || (existing.extensions?.length ? [{ ...buildGeneration(existing, 1), installed: existing.installed }] : []);
+
+    const nextGeneration = generations.reduce((max, g) => Math.max(max, g.generation), 0) + 1;
+    generations.push(buildGeneration(pack, nextGeneration));
+
     // Update existing pack
     registry.packs[existingIndex] = {
       ...pack,
-      updated: new Date().toISOString()
+      installed: existing.installed,
+      updated: new Date().toISOString(),
+      generation: nextGeneration,
+      generations: generations.slice(-MAX_GENERATIONS)
     };
   } else {
     // Add new pack
     registry.packs.push({
       ...pack,
-      installed: new Date().toISOString()
+      installed: new Date().toISOString(),
+      generation: 1,
+      generations: [buildGeneration(pack, 1)]
     });
   }
 
   writeJsonSync(INSTALLED_FILE, registry, { spaces: 2 });
 }
 
+/**
+ * Make a recorded generation the active state of an installed pack
+ * @param {string} packName
+ * @param {number} generation - Generation number to activate
+ * @param {Array<Object>} extensions - Extensions as re-materialized on disk
+ * @returns {Object} Updated pack entry
+ */
+export function setActiveGeneration(packName, generation, extensions) {
+  ensureConfigDir();
+  const registry = getInstalledPacks();
+
+  const index = registry.packs.findIndex(p => p.name === packName);
+  if (index < 0) {
+    throw new Error(`Pack "${packName}" is not installed`);
+  }
+
+  const entry = registry.packs[index];
+  const target = entry.generations?.find(g => g.generation === generation);
+  if (!target) {
+    throw new Error(`Pack "${packName}" has no generation ${generation}`);
+  }
+
+  // Paths may have changed if the generation had to be re-extracted
+  target.extensions = extensions.map(ext => ({
+    name: ext.name,
+    version: ext.version || null,
+    type: ext.type,
+    path: ext.path
+  }));
+
+  registry.packs[index] = {
+    ...entry,
+    version: target.version,
+    packHash: target.packHash,
+    extensions: extensions.map(ext => ({ ...ext, status: 'loaded' })),
+    generation,
+    updated: new Date().toISOString()
+  };
+
+  writeJsonSync(INSTALLED_FILE, registry, { spaces: 2 });
+  return registry.packs[index];
+}
+
+/**
+ * Turn an installed pack on or off without removing it
+ * Disabled packs keep their files and history but are left out of the load set.
+ * @param {string} packName
+ * @param {boolean} enabled
+ * @returns {Object} Updated pack entry
+ */
+export function setPackEnabled(packName, enabled) {
+  ensureConfigDir();
+  const registry = getInstalledPacks();
+
+  const index = registry.packs.findIndex(p => p.name === packName);
+  if (index < 0) {
+    throw new Error(`Pack "${packName}" is not installed`);
+  }
+
+  registry.packs[index] = {
+    ...registry.packs[index],
+    enabled
+  };
+
+  writeJsonSync(INSTALLED_FILE, registry, { spaces: 2 });
+  return registry.packs[index];
+}
+
 /**
  * Remove pack from installed registry
  * @param {string} packName
@@ -139,6 +289,22 @@ export function getCacheDir() {
   return CACHE_DIR;
 }
 
+/**
+ * Get directory holding archived pack files for rollback
+ * @returns {string}
+ */
+export function getHistoryDir() {
+  return HISTORY_DIR;
+}
+
+/**
+ * Get directory holding isolated browser profiles
+ * @returns {string}
+ */
+export function getProfilesDir() {
+  return PROFILES_DIR;
+}
+
 /**
  * Get config directory path
  * @returns {string}
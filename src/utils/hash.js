@@ -0,0 +1,72 @@
+/**
+ * Hash utilities - SHA-256 digests for files and buffers
+ */
+
+import { createHash } from 'crypto';
+import { join } from 'path';
+import fs from 'fs-extra';
+
+/**
+ * SHA-256 digest of a buffer or string
+ * @param {Buffer|string} data - Data to hash
+ * @returns {string} Hex digest
+ */
+export function sha256(data) {
+  return createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * SHA-256 digest of a file's contents
+ * @param {string} filePath - File to hash
+ * @returns {Promise<string>} Hex digest
+ */
+export async function hashFile(filePath) {
+  const content = await fs.readFile(filePath);
+  return sha256(content);
+}
+
+/**
+ * List files under a directory as sorted POSIX-style relative paths
+ * @param {string} dirPath - Directory to walk
+ * @param {string} prefix - Relative prefix (internal use)
+ * @returns {Promise<Array<string>>}
+ */
+export async function listFiles(dirPath, prefix = '') {
+  const entries = await fs.readdir(join(dirPath, prefix), { withFileTypes: true });
+  const files = [];
+
+  for (const entry of entries) {
+    const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(dirPath, relativePath));
+    } else if (entry.isFile()) {
+      files.push(relativePath);
+    }
+  }
+
+  return files.sort();
+}
+
+/**
+ * SHA-256 digest of a directory tree
+ * Covers every file's relative path and contents, so renames and edits both
+ * change the digest while timestamps and file order do not.
+ * @param {string} dirPath - Directory to hash
+ * @param {Object} options - Hash options
+ * @param {Array<string>} options.exclude - Relative paths to leave out
+ * @returns {Promise<string>} Hex digest
+ */
+export async function hashDirectory(dirPath, options = {}) {
+  const { exclude = [] } = options;
+  const hash = createHash('sha256');
+
+  for (const relativePath of await listFiles(dirPath)) {
+    if (exclude.includes(relativePath)) continue;
+
+    const content = await fs.readFile(join(dirPath, relativePath));
+    hash.update(`${relativePath}\0${sha256(content)}\n`);
+  }
+
+  return hash.digest('hex');
+}
@@ -0,0 +1,132 @@
+/**
+ * Safe path utilities - Keep archive and bundle entries inside their target directory
+ *
+ * Entry names come from untrusted pack files and downloads, so they are
+ * checked before anything touches the filesystem: no absolute paths, no
+ * parent references, no Windows device names or stream syntax, and no
+ * writing through symlinks that already exist under the target.
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+
+const WINDOWS_DEVICE_NAMES = /^(con|prn|aux|nul|conin\$|conout\$|com[0-9¹²³]|lpt[0-9¹²³])(\..*)?$/i;
+
+/**
+ * Check an archive entry path without touching the filesystem
+ * @param {string} entryPath - Relative path as stored in the archive/bundle
+ * @returns {string|null} Rejection reason, or null if the path is acceptable
+ */
+export function checkEntryPath(entryPath) {
+  if (typeof entryPath !== 'string' || entryPath.length === 0) {
+    return 'empty path';
+  }
+
+  if (entryPath.includes('\0')) {
+    return 'contains a NUL byte';
+  }
+
+  // Treat backslashes as separators regardless of platform
+  const normalized = entryPath.replace(/\\/g, '/');
+
+  if (normalized.startsWith('/') || /^[a-zA-Z]:/.test(normalized)) {
+    return 'absolute path';
+  }
+
+  const segments = normalized.split('/').filter(segment => segment !== '' && segment !== '.');
+
+  if (segments.length === 0) {
+    return 'empty path';
+  }
+
+  for (const segment of segments) {
+    if (segment === '..') {
+      return 'parent directory reference';
+    }
+
+    if (segment.includes(':')) {
+      return 'contains ":" (drive or alternate data stream)';
+    }
+
+    if (WINDOWS_DEVICE_NAMES.test(segment)) {
+      return `reserved device name "${segment}"`;
+    }
+
+    if (/[. ]$/.test(segment)) {
+      return 'segment ends with "." or space';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Resolve an entry path inside a target directory
+ * @param {string} targetPath - Extraction root
+ * @param {string} entryPath - Relative entry path
+ * @returns {string} Absolute path inside targetPath
+ * @throws {Error} If the entry is unsafe or escapes the target
+ */
+export function resolveInside(targetPath, entryPath) {
+  const reason = checkEntryPath(entryPath);
+
+  if (reason) {
+    throw new Error(`Unsafe path "${entryPath}": ${reason}`);
+  }
+
+  const root = path.resolve(targetPath);
+  const resolved = path.resolve(root, entryPath.replace(/\\/g, '/'));
+
+  if (!resolved.startsWith(root + path.sep)) {
+    throw new Error(`Unsafe path "${entryPath}": escapes target directory`);
+  }
+
+  return resolved;
+}
+
+/**
+ * Make sure no existing component between root and a file is a symlink
+ * @param {string} targetPath - Extraction root
+ * @param {string} filePath - Absolute path inside targetPath
+ * @returns {Promise<void>}
+ * @throws {Error} If a symlink is found
+ */
+export async function assertNoSymlinks(targetPath, filePath) {
+  const root = path.resolve(targetPath);
+  const relativeParts = path.relative(root, filePath).split(path.sep);
+  let current = root;
+
+  for (const part of relativeParts) {
+    current = path.join(current, part);
+
+    let stat;
+    try {
+      stat = await fs.lstat(current);
+    } catch {
+      // Nothing exists from here on
+      return;
+    }
+
+    if (stat.isSymbolicLink()) {
+      throw new Error(`Unsafe path "${path.relative(root, filePath)}": "${path.relative(root, current)}" is a symlink`);
+    }
+  }
+}
+
+/**
+ * Check a list of entry paths and collect the unsafe ones
+ * @param {Array<string>} entryPaths
+ * @returns {Array<Object>} { path, reason } for each rejected entry
+ */
+export function findUnsafeEntries(entryPaths) {
+  return entryPaths
+    .map(entryPath => ({ path: entryPath, reason: checkEntryPath(entryPath) }))
+    .filter(entry => entry.reason !== null);
+}
+
+export default {
+  checkEntryPath,
+  resolveInside,
+  assertNoSymlinks,
+  findUnsafeEntries
+};
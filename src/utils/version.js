@@ -0,0 +1,134 @@
+/**
+ * Version utilities - Compare pack (semver) and extension (Chrome) versions
+ *
+ * Chrome manifests allow one to four dot-separated integers ("1", "1.2.3.4"),
+ * packs use semver with optional prerelease tags ("2.0.0-beta.1"). Both are
+ * parsed into numeric components so "1.0" and "1.0.0.0" compare equal.
+ */
+
+const VERSION_PATTERN = /^v?(\d+(?:\.\d+)*)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+/**
+ * Parse a version string
+ * @param {string} version - Version string (e.g. "1.2.3", "v2.0.0-beta.1", "1.2.3.4")
+ * @returns {Object|null} { numbers, prerelease } or null if not a version
+ */
+export function parseVersion(version) {
+  if (version === null || version === undefined) return null;
+
+  const match = String(version).trim().match(VERSION_PATTERN);
+  if (!match) return null;
+
+  return {
+    numbers: match[1].split('.').map(n => parseInt(n, 10)),
+    prerelease: match[2] ? match[2].split('.') : []
+  };
+}
+
+/**
+ * Compare two prerelease identifier lists per semver rules
+ * @param {Array<string>} a
+ * @param {Array<string>} b
+ * @returns {number} -1, 0 or 1
+ */
+function comparePrerelease(a, b) {
+  // A release sorts after any prerelease of the same version
+  if (a.length === 0 || b.length === 0) {
+    return Math.sign(b.length - a.length);
+  }
+
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if (a[i] === undefined) return -1;
+    if (b[i] === undefined) return 1;
+
+    const aNum = /^\d+$/.test(a[i]);
+    const bNum = /^\d+$/.test(b[i]);
+
+    if (aNum && bNum) {
+      const diff = parseInt(a[i], 10) - parseInt(b[i], 10);
+      if (diff !== 0) return Math.sign(diff);
+    } else if (aNum !== bNum) {
+      // Numeric identifiers have lower precedence than alphanumeric ones
+      return aNum ? -1 : 1;
+    } else if (a[i] !== b[i]) {
+      return a[i] < b[i] ? -1 : 1;
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * Compare two versions
+ * Unparseable versions fall back to a numeric-aware string comparison.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} -1 if a < b, 0 if equal, 1 if a > b
+ */
+export function compareVersions(a, b) {
+  const left = parseVersion(a);
+  const right = parseVersion(b);
+
+  if (!left || !right) {
+    return Math.sign(String(a ?? '').localeCompare(String(b ?? ''), undefined, { numeric: true }));
+  }
+
+  const length = Math.max(left.numbers.length, right.numbers.length);
+
+  for (let i = 0; i < length; i++) {
+    const diff = (left.numbers[i] || 0) - (right.numbers[i] || 0);
+    if (diff !== 0) return Math.sign(diff);
+  }
+
+  return comparePrerelease(left.prerelease, right.prerelease);
+}
+
+/**
+ * Check whether a version carries a prerelease tag
+ * @param {string} version
+ * @returns {boolean}
+ */
+export function isPrerelease(version) {
+  const parsed = parseVersion(version);
+  return Boolean(parsed && parsed.prerelease.length > 0);
+}
+
+/**
+ * Get the release channel of a version ("stable" or the first prerelease identifier)
+ * @param {string} version
+ * @returns {string} e.g. "stable", "beta", "rc"
+ */
+export function getChannel(version) {
+  const parsed = parseVersion(version);
+
+  if (!parsed || parsed.prerelease.length === 0) {
+    return 'stable';
+  }
+
+  return String(parsed.prerelease[0]).toLowerCase();
+}
+
+/**
+ * Check whether a version is acceptable on a release channel
+ * "stable" only accepts releases, any other channel also accepts its own
+ * prereleases, and "pre" accepts every prerelease.
+ * @param {string} version
+ * @param {string} channel
+ * @returns {boolean}
+ */
+export function isOnChannel(version, channel = 'stable') {
+  const versionChannel = getChannel(version);
+
+  if (versionChannel === 'stable') return true;
+  if (channel === 'pre') return true;
+
+  return versionChannel === String(channel).toLowerCase();
+}
+
+export default {
+  parseVersion,
+  compareVersions,
+  isPrerelease,
+  getChannel,
+  isOnChannel
+};